@@ -0,0 +1,257 @@
+/**
+ * Logros: insignias que se desbloquean a partir de los eventos de la partida.
+ *
+ * Eventos que recibe el motor ({type, ...datos}):
+ * - move: movimiento del jugador
+ * - undo: movimiento deshecho
+ * - hint: pista pedida
+ * - victory / defeat: fin de partida ({mode, variant, disks, moves, par, time, hints, undos})
+ * - theme: temas guardados ({tower, disk})
+ * - streak: racha del reto diario actualizada ({streak})
+ */
+
+// Modos de juego que cuentan para "Todoterreno"
+const ALL_MODES = ['normal', 'contrarreloj', 'desafio', 'puzzle', 'diario', 'campana'];
+
+/**
+ * Indica si una victoria se ha hecho con los movimientos mínimos, sin pistas ni deshacer
+ * @param {Object} event - Evento de victoria
+ * @return {boolean} - true si es perfecta
+ */
+function isPerfectRun(event) {
+    return event.moves === event.par && event.hints === 0 && event.undos === 0;
+}
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'primer-paso',
+        icon: '👣',
+        name: 'Primer paso',
+        description: 'Mueve tu primer disco',
+        check: (event, progress) => progress.counters.moves >= 1
+    },
+    {
+        id: 'primera-victoria',
+        icon: '🏁',
+        name: 'Primera victoria',
+        description: 'Completa una partida',
+        check: (event, progress) => progress.counters.wins >= 1
+    },
+    {
+        id: 'diez-victorias',
+        icon: '🏆',
+        name: 'Veterano',
+        description: 'Completa 10 partidas',
+        check: (event, progress) => progress.counters.wins >= 10
+    },
+    {
+        id: 'maraton',
+        icon: '🏃',
+        name: 'Maratón',
+        description: 'Mueve 1000 discos en total',
+        check: (event, progress) => progress.counters.moves >= 1000
+    },
+    {
+        id: 'perfecto',
+        icon: '🎯',
+        name: 'Sin desperdiciar',
+        description: 'Gana con los movimientos mínimos, sin pistas ni deshacer',
+        check: event => event.type === 'victory' && isPerfectRun(event)
+    },
+    {
+        id: 'perfecto-7',
+        icon: '💎',
+        name: 'Siete perfectos',
+        description: 'Gana con 7 discos en los movimientos mínimos, sin pistas ni deshacer',
+        check: event => event.type === 'victory' && event.disks === 7 && isPerfectRun(event)
+    },
+    {
+        id: 'contrarreloj-60',
+        icon: '⏱️',
+        name: 'Contra el reloj',
+        description: 'Gana una contrarreloj en menos de 60 segundos',
+        check: event => event.type === 'victory' && event.mode === 'contrarreloj' && event.time < 60
+    },
+    {
+        id: 'puzzle-sin-pistas',
+        icon: '🧩',
+        name: 'Por mi cuenta',
+        description: 'Gana en modo Puzzle sin pedir pistas',
+        check: event => event.type === 'victory' && event.mode === 'puzzle' && event.hints === 0
+    },
+    {
+        id: 'sin-marcha-atras',
+        icon: '➡️',
+        name: 'Sin marcha atrás',
+        description: 'Gana con 6 discos o más sin deshacer ningún movimiento',
+        check: event => event.type === 'victory' && event.disks >= 6 && event.undos === 0
+    },
+    {
+        id: 'arrepentido',
+        icon: '↩️',
+        name: 'Arrepentido',
+        description: 'Deshaz 50 movimientos en total',
+        check: (event, progress) => progress.counters.undos >= 50
+    },
+    {
+        id: 'curioso',
+        icon: '💡',
+        name: 'Curioso',
+        description: 'Pide tu primera pista',
+        check: (event, progress) => progress.counters.hints >= 1
+    },
+    {
+        id: 'todoterreno',
+        icon: '🧭',
+        name: 'Todoterreno',
+        description: 'Gana al menos una partida en cada modo de juego',
+        check: (event, progress) => ALL_MODES.every(mode => progress.modesWon.includes(mode))
+    },
+    {
+        id: 'otras-reglas',
+        icon: '🔄',
+        name: 'Otras reglas',
+        description: 'Gana con las variantes cíclica y adyacente',
+        check: (event, progress) => ['ciclica', 'adyacente'].every(variant => progress.variantsWon.includes(variant))
+    },
+    {
+        id: 'decorador',
+        icon: '🎨',
+        name: 'Decorador',
+        description: 'Prueba tres temas de torres distintos',
+        check: (event, progress) => progress.towerThemes.length >= 3
+    },
+    {
+        id: 'racha-3',
+        icon: '🔥',
+        name: 'En racha',
+        description: 'Gana el reto diario tres días seguidos',
+        check: event => event.type === 'streak' && event.streak >= 3
+    },
+    {
+        id: 'racha-7',
+        icon: '📅',
+        name: 'Una semana entera',
+        description: 'Gana el reto diario siete días seguidos',
+        check: event => event.type === 'streak' && event.streak >= 7
+    }
+];
+
+/**
+ * Crea el progreso vacío de los logros
+ * @return {Object} - Progreso ({unlocked: {id: fecha}, counters, modesWon, variantsWon, towerThemes})
+ */
+export function createEmptyAchievementProgress() {
+    return {
+        unlocked: {},
+        counters: { moves: 0, wins: 0, undos: 0, hints: 0 },
+        modesWon: [],
+        variantsWon: [],
+        towerThemes: []
+    };
+}
+
+/**
+ * Añade un valor a una lista si no estaba
+ * @param {Array} list - Lista original (no se modifica)
+ * @param {*} value - Valor a añadir
+ * @return {Array} - Lista con el valor
+ */
+function addUnique(list, value) {
+    return value === undefined || list.includes(value) ? list : [...list, value];
+}
+
+/**
+ * Motor de logros: acumula el progreso con cada evento y avisa de las insignias nuevas
+ */
+export class AchievementEngine {
+    /**
+     * Constructor de la clase AchievementEngine
+     * @param {Object} progress - Progreso guardado (ver createEmptyAchievementProgress)
+     */
+    constructor(progress = createEmptyAchievementProgress()) {
+        const empty = createEmptyAchievementProgress();
+        this.progress = {
+            ...empty,
+            ...progress,
+            counters: { ...empty.counters, ...progress.counters }
+        };
+        this.listeners = [];
+    }
+
+    /**
+     * Registra una función que se llama con cada logro desbloqueado
+     * @param {Function} listener - Recibe la definición del logro
+     */
+    onUnlock(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Procesa un evento de la partida
+     * @param {Object} event - Evento ({type, ...datos})
+     * @return {Object[]} - Logros desbloqueados por este evento
+     */
+    handle(event) {
+        this.progress = this.applyEvent(this.progress, event);
+
+        const unlocked = ACHIEVEMENTS.filter(achievement =>
+            !this.progress.unlocked[achievement.id] && achievement.check(event, this.progress)
+        );
+        if (unlocked.length > 0) {
+            const date = new Date().toISOString();
+            const entries = Object.fromEntries(unlocked.map(achievement => [achievement.id, date]));
+            this.progress = { ...this.progress, unlocked: { ...this.progress.unlocked, ...entries } };
+            unlocked.forEach(achievement => this.listeners.forEach(listener => listener(achievement)));
+        }
+        return unlocked;
+    }
+
+    /**
+     * Actualiza los contadores con un evento
+     * @param {Object} progress - Progreso actual (no se modifica)
+     * @param {Object} event - Evento de la partida
+     * @return {Object} - Nuevo progreso
+     */
+    applyEvent(progress, event) {
+        const counters = { ...progress.counters };
+        switch (event.type) {
+            case 'move':
+                counters.moves++;
+                break;
+
+            case 'undo':
+                counters.undos++;
+                break;
+
+            case 'hint':
+                counters.hints++;
+                break;
+
+            case 'victory':
+                counters.wins++;
+                return {
+                    ...progress,
+                    counters,
+                    modesWon: addUnique(progress.modesWon, event.mode),
+                    variantsWon: addUnique(progress.variantsWon, event.variant)
+                };
+
+            case 'theme':
+                return { ...progress, towerThemes: addUnique(progress.towerThemes, event.tower) };
+
+            default:
+                break;
+        }
+        return { ...progress, counters };
+    }
+
+    /**
+     * Indica si un logro está desbloqueado
+     * @param {string} id - Identificador del logro
+     * @return {boolean} - true si ya se consiguió
+     */
+    isUnlocked(id) {
+        return Boolean(this.progress.unlocked[id]);
+    }
+}
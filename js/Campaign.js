@@ -0,0 +1,169 @@
+/**
+ * Campaña: paquetes de niveles ordenados que se desbloquean al superar el anterior.
+ *
+ * Formato de un paquete (assets/levels/*.json):
+ * {
+ *     "format": "hanoi-pack",
+ *     "version": 1,
+ *     "id": "primeros-pasos",
+ *     "name": "Primeros pasos",
+ *     "levels": [
+ *         {
+ *             "id": "tres-discos",
+ *             "name": "Tres discos",
+ *             "disks": 3, "pegs": 3, "variant": "clasica",   // Reglas (ver Level.js)
+ *             "start": [[3, 2, 1], [], []],
+ *             "goal": [[], [], [3, 2, 1]],
+ *             "targets": { "moves": 7, "time": 30 }           // Objetivos para las estrellas
+ *         }
+ *     ]
+ * }
+ *
+ * Estrellas: 1 por completar el nivel, 2 si además no se supera el objetivo
+ * de movimientos y 3 si tampoco se supera el de tiempo (en segundos).
+ */
+
+import { validateLevel, LEVEL_FORMAT, LEVEL_VERSION } from './Level.js';
+
+export const PACK_FORMAT = 'hanoi-pack';
+export const PACK_VERSION = 1;
+
+// Paquetes de la campaña, en el orden en que se juegan
+export const CAMPAIGN_PACK_FILES = [
+    'assets/levels/primeros-pasos.json',
+    'assets/levels/variantes.json'
+];
+
+/**
+ * Valida un paquete de niveles y cada uno de sus niveles
+ * @param {Object} data - Paquete a validar
+ * @return {Object} - Paquete con los niveles validados (incluyen su par)
+ */
+export function validatePack(data) {
+    if (!data || data.format !== PACK_FORMAT) {
+        throw new Error('El archivo no es un paquete de niveles');
+    }
+    if (data.version > PACK_VERSION) {
+        throw new Error(`Versión de paquete no soportada: ${data.version}`);
+    }
+    if (!data.id || !Array.isArray(data.levels) || data.levels.length === 0) {
+        throw new Error('El paquete no tiene identificador o niveles');
+    }
+
+    const levels = data.levels.map((level, index) => {
+        const { moves, time } = level.targets || {};
+        if (!level.id || !(moves > 0) || !(time > 0)) {
+            throw new Error(`Nivel ${index + 1} del paquete ${data.id}: faltan el identificador o los objetivos`);
+        }
+        return validateLevel({ format: LEVEL_FORMAT, version: LEVEL_VERSION, ...level });
+    });
+
+    return { ...data, levels };
+}
+
+/**
+ * Clave con la que se guarda el progreso de un nivel
+ * @param {Object} pack - Paquete
+ * @param {Object} level - Nivel del paquete
+ * @return {string} - Por ejemplo "primeros-pasos/tres-discos"
+ */
+export function getLevelKey(pack, level) {
+    return `${pack.id}/${level.id}`;
+}
+
+/**
+ * Calcula las estrellas de un nivel superado
+ * @param {Object} level - Nivel con sus objetivos
+ * @param {Object} result - Resultado ({moves, time})
+ * @return {number} - De 1 a 3 estrellas
+ */
+export function calculateStars(level, result) {
+    if (result.moves > level.targets.moves) {
+        return 1;
+    }
+    return result.time <= level.targets.time ? 3 : 2;
+}
+
+/**
+ * Crea el progreso vacío de la campaña
+ * @return {Object} - Progreso ({levels: {clave: {stars, bestMoves, bestTime}}})
+ */
+export function createEmptyProgress() {
+    return { levels: {} };
+}
+
+/**
+ * Indica si un nivel está desbloqueado: el primero siempre lo está y
+ * los demás cuando se ha superado el anterior (aunque sea de otro paquete)
+ * @param {Object[]} packs - Paquetes en orden
+ * @param {Object} progress - Progreso de la campaña
+ * @param {number} packIndex - Índice del paquete
+ * @param {number} levelIndex - Índice del nivel en el paquete
+ * @return {boolean} - true si se puede jugar
+ */
+export function isLevelUnlocked(packs, progress, packIndex, levelIndex) {
+    if (packIndex === 0 && levelIndex === 0) {
+        return true;
+    }
+
+    const previousPack = levelIndex > 0 ? packs[packIndex] : packs[packIndex - 1];
+    const previousLevel = levelIndex > 0
+        ? previousPack.levels[levelIndex - 1]
+        : previousPack.levels[previousPack.levels.length - 1];
+    return Boolean(progress.levels[getLevelKey(previousPack, previousLevel)]);
+}
+
+/**
+ * Busca el nivel que sigue a otro en la campaña
+ * @param {Object[]} packs - Paquetes en orden
+ * @param {number} packIndex - Índice del paquete actual
+ * @param {number} levelIndex - Índice del nivel actual
+ * @return {{packIndex: number, levelIndex: number}|null} - Siguiente nivel o null si era el último
+ */
+export function getNextLevel(packs, packIndex, levelIndex) {
+    if (levelIndex + 1 < packs[packIndex].levels.length) {
+        return { packIndex, levelIndex: levelIndex + 1 };
+    }
+    if (packIndex + 1 < packs.length) {
+        return { packIndex: packIndex + 1, levelIndex: 0 };
+    }
+    return null;
+}
+
+/**
+ * Busca el primer nivel desbloqueado que aún no se ha superado
+ * @param {Object[]} packs - Paquetes en orden
+ * @param {Object} progress - Progreso de la campaña
+ * @return {{packIndex: number, levelIndex: number}|null} - Nivel o null si no hay paquetes
+ */
+export function getCurrentLevel(packs, progress) {
+    for (let packIndex = 0; packIndex < packs.length; packIndex++) {
+        const pack = packs[packIndex];
+        for (let levelIndex = 0; levelIndex < pack.levels.length; levelIndex++) {
+            if (!progress.levels[getLevelKey(pack, pack.levels[levelIndex])]) {
+                return { packIndex, levelIndex };
+            }
+        }
+    }
+    return packs.length > 0 ? { packIndex: 0, levelIndex: 0 } : null;
+}
+
+/**
+ * Registra un nivel superado conservando las mejores marcas
+ * @param {Object} progress - Progreso (no se modifica)
+ * @param {string} key - Clave del nivel
+ * @param {Object} result - Resultado ({moves, time, stars})
+ * @return {Object} - Nuevo progreso
+ */
+export function recordLevelResult(progress, key, result) {
+    const previous = progress.levels[key];
+    const entry = previous
+        ? {
+            stars: Math.max(previous.stars, result.stars),
+            bestMoves: Math.min(previous.bestMoves, result.moves),
+            bestTime: Math.min(previous.bestTime, result.time)
+        }
+        : { stars: result.stars, bestMoves: result.moves, bestTime: result.time };
+
+    return { ...progress, levels: { ...progress.levels, [key]: entry } };
+}
@@ -0,0 +1,118 @@
+/**
+ * Reto diario: un puzzle derivado de la fecha, igual para todos los jugadores,
+ * con un solo intento puntuable por día y racha de días consecutivos.
+ */
+
+import { HanoiState } from './HanoiState.js';
+import { createRandom, hashString, randomInt } from './random.js';
+
+const MIN_DISKS = 4;
+const MAX_DISKS = 7;
+const NUM_PEGS = 3;
+
+/**
+ * Obtiene la clave de un día en formato AAAA-MM-DD (hora local)
+ * @param {Date} date - Fecha
+ * @return {string} - Clave del día
+ */
+export function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Obtiene la clave del día anterior
+ * @param {string} dateKey - Clave AAAA-MM-DD
+ * @return {string} - Clave del día anterior
+ */
+function getPreviousDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getDateKey(new Date(year, month - 1, day - 1));
+}
+
+/**
+ * Genera el reto de un día. La misma fecha produce siempre el mismo reto.
+ * @param {Date} date - Día del reto
+ * @return {Object} - Reto ({date, seed, numDisks, numPegs, start, goalPeg, modifiers})
+ */
+export function createDailyChallenge(date = new Date()) {
+    const dateKey = getDateKey(date);
+    const seed = hashString(`hanoi-diario-${dateKey}`);
+    const random = createRandom(seed);
+
+    const numDisks = MIN_DISKS + randomInt(random, MAX_DISKS - MIN_DISKS + 1);
+    const goalPeg = randomInt(random, NUM_PEGS);
+
+    // Distribución inicial que todavía no esté resuelta
+    let start;
+    do {
+        start = HanoiState.random(numDisks, NUM_PEGS, random);
+    } while (start.isSolved(goalPeg));
+
+    // Modificadores opcionales: límite de tiempo y torres desordenadas
+    const modifiers = {
+        timeLimit: random() < 0.35 ? numDisks * 15 : 0,
+        shuffledTowers: random() < 0.35
+    };
+
+    return {
+        date: dateKey,
+        seed,
+        numDisks,
+        numPegs: NUM_PEGS,
+        start: start.toJSON().pegs,
+        goalPeg,
+        modifiers
+    };
+}
+
+/**
+ * Crea los datos vacíos del historial de retos diarios
+ * @return {Object} - Datos ({results, streak, bestStreak, lastWin})
+ */
+export function createEmptyDailyData() {
+    return {
+        results: {},
+        streak: 0,
+        bestStreak: 0,
+        lastWin: null
+    };
+}
+
+/**
+ * Registra el resultado del intento puntuable de un día y actualiza la racha
+ * @param {Object} data - Datos del historial (no se modifican)
+ * @param {string} dateKey - Día del reto
+ * @param {Object} result - Resultado ({outcome, moves, time, hints})
+ * @return {Object} - Nuevos datos del historial
+ */
+export function recordDailyResult(data, dateKey, result) {
+    const updated = {
+        ...data,
+        results: { ...data.results, [dateKey]: { ...result } }
+    };
+
+    if (result.outcome === 'victoria') {
+        updated.streak = data.lastWin === getPreviousDateKey(dateKey) ? data.streak + 1 : 1;
+        updated.bestStreak = Math.max(data.bestStreak, updated.streak);
+        updated.lastWin = dateKey;
+    } else if (result.outcome !== 'en-curso') {
+        updated.streak = 0;
+    }
+
+    return updated;
+}
+
+/**
+ * Racha vigente: se pierde si ayer no se ganó el reto ni se ha ganado hoy
+ * @param {Object} data - Datos del historial
+ * @param {string} todayKey - Clave del día actual
+ * @return {number} - Días consecutivos ganados
+ */
+export function getCurrentStreak(data, todayKey) {
+    if (data.lastWin === todayKey || data.lastWin === getPreviousDateKey(todayKey)) {
+        return data.streak;
+    }
+    return 0;
+}
@@ -1,8 +1,28 @@
 import * as THREE from 'three';
 import { Tower } from './Tower.js';
 import { Disk } from './Disk.js';
+import { GoalPreview } from './GoalPreview.js';
+import { HanoiState } from './HanoiState.js';
+import { MoveHistory, UNDO_POLICIES } from './MoveHistory.js';
+import { GameClock } from './GameClock.js';
+import { countPlacedDisks, addSplits, getSplitDelta, updateBestSplits, formatSplitDelta } from './Splits.js';
+import { solveFromState, calculatePar, createGoalDistances } from './solver.js';
+import { createGameRecord, parseGameRecord, validateGameRecord, recordToNotation, getRecordGoal } from './GameRecord.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { createLevel, parseLevel } from './Level.js';
+import { CAMPAIGN_PACK_FILES, validatePack, getLevelKey, calculateStars, createEmptyProgress, isLevelUnlocked, getNextLevel, getCurrentLevel, recordLevelResult } from './Campaign.js';
+import { AchievementEngine, ACHIEVEMENTS } from './Achievements.js';
+import { getLeaderboardKey, describeLeaderboardKey, addLeaderboardEntry } from './Leaderboard.js';
+import { calculateScore } from './Score.js';
+import { createGameLogEntry, addGameLogEntry, summarizeStatistics } from './Statistics.js';
+import { DEFAULT_TIME_BUDGET, BONUS_SECONDS, PENALTY_SECONDS, calculateTimeLimit, calculateTimeAttackScore } from './TimeAttack.js';
+import { loadData, saveData, removeData, STORAGE_SCHEMAS } from './storage.js';
+import { createProfile, parseProfile, mergeProfileData } from './Profile.js';
+import { createRandom, generateSeed, parseSeed, randomInt } from './random.js';
+import { DEFAULT_VARIANT, getVariant, isDirectionAllowed } from './variants.js';
+import { createDailyChallenge, createEmptyDailyData, recordDailyResult, getCurrentStreak, getDateKey } from './DailyChallenge.js';
 import { loadJapaneseTowerModel, jtowermodel } from './models.js'; // Importar función y variable
-import { formatTime, calculateDiskY, calculateMinMoves, isMobileDevice, DISK_COLORS } from './utils.js'; // Importar utilidades
+import { formatTime, formatPreciseTime, calculateDiskY, isMobileDevice, downloadFile, escapeHtml, getDifficultyRating, DISK_COLORS, GAME_MODE_LABELS } from './utils.js'; // Importar utilidades
 
 /**
  * Clase principal que maneja el juego Torre de Hanoi
@@ -15,23 +35,80 @@ export class Game { // Exportar la clase
     constructor(container) {
         this.container = container;
         this.numDisks = 4; // Valor por defecto
+        this.numPegs = 3; // Número de torres (3-8)
+        this.towerSpacing = 10; // Distancia entre torres contiguas
         this.moves = 0;
         this.timer = 0;
-        this.timerInterval = null;
+        this.lastTickSecond = null; // Último segundo de la cuenta atrás, para el sonido de tic
         this.solutionInterval = null;
         this.selectedDisk = null;
         this.draggingDisk = null;
         this.towers = [];
         this.disks = [];
+        this.state = null; // Estado lógico (HanoiState) del que se renderizan torres y discos
+        this.history = new MoveHistory();
+        this.startState = null; // Distribución inicial de la partida, para el registro
+        this.gameClock = new GameClock(); // Tiempo jugado, con precisión de milisegundos
+        this.startDate = new Date();
+        this.outcome = 'en-curso'; // 'victoria', 'derrota' o 'en-curso'
+        this.gameStarted = false; // Si el jugador ha empezado la partida (ha tocado un disco, pedido una pista...)
+        this.isReplaying = false;
+        this.replayPlayer = null;
+        this.replayReturnState = null; // Estado al que volver al salir de la repetición
+        this.undoCount = 0;
+        this.hintsUsed = 0;
+        this.invalidMoves = 0; // Intentos de movimiento inválidos (restan puntuación)
+        this.hintTimeout = null;
+        this.hintTarget = null; // Disco y torre resaltados por la pista actual
         this.isGameOver = false;
-        this.gameMode = 'normal'; // 'normal', 'contrarreloj', 'desafio', 'puzzle'
-        this.timeLimit = 0; // Para modo contrarreloj
-        this.bestScore = this.loadBestScore();
+        this.score = null; // Puntuación de la última victoria ({points, stars})
+        this.gameMode = 'normal'; // 'normal', 'contrarreloj', 'desafio', 'puzzle', 'diario', 'campana'
+        this.variant = DEFAULT_VARIANT; // Variante de reglas (ver variants.js)
+        this.directionArrows = []; // Flechas sobre las bases con las direcciones permitidas
+        this.timeLimit = 0; // Si es mayor que 0, el temporizador es una cuenta atrás
+        this.timeAdjustment = 0; // Segundos ganados o perdidos en contrarreloj (bonificaciones - penalizaciones)
+        this.timeScore = null; // Puntos de contrarreloj de la última victoria (tiempo sobrante)
+        this.goalDistances = null; // Movimientos mínimos hasta el objetivo desde cada posición ({goal, distanceTo}), para las bonificaciones
+        this.timeChangeTimeout = null;
+        this.splits = []; // Parciales de la partida ({disks, time}, ver Splits.js)
+        this.splitsFrom = 0; // Discos que ya estaban colocados al empezar
+        this.bestSplits = this.loadBestSplits(); // Parciales del mejor tiempo de cada configuración
+        this.isPaused = false; // Partida en pausa: temporizador, solución y tablero congelados
+        this.pausedTimer = false; // Si el temporizador estaba en marcha al pausar
+        this.pausedStatus = ''; // Mensaje de estado que se recupera al continuar
+        this.goalPeg = this.numPegs - 1; // Torre donde se apilan los discos si el objetivo es una pila
+        this.goal = null; // Distribución objetivo (HanoiState) con la que se comprueba la victoria
+        this.goalPreview = null; // Vista previa translúcida del objetivo
+        this.level = null; // Nivel cargado (ver Level.js): fija el inicio y el objetivo
+        this.isEditing = false; // Editor de niveles activo
+        this.editorLayouts = null; // Distribuciones en edición ({start, goal})
+        this.editorTarget = 'start'; // Distribución que se está editando: 'start' o 'goal'
+        this.campaignPacks = []; // Paquetes de niveles de la campaña, en orden
+        this.campaignLevel = null; // Nivel de campaña en juego ({packIndex, levelIndex})
+        this.campaignProgress = this.loadCampaignProgress();
+        this.achievements = this.createAchievementEngine();
+        this.dailyChallenge = null; // Reto del día en modo diario
+        this.dailyScored = false; // Si la partida diaria actual es el intento puntuable
+        this.dailyAttemptStarted = false;
+        this.seed = null; // Semilla de la partida actual
+        this.random = Math.random; // Generador usado en todas las decisiones aleatorias
+        this.leaderboards = this.loadLeaderboards(); // Las mejores partidas de cada configuración
+        this.gameLog = this.loadGameLog(); // Partidas terminadas o abandonadas, para las estadísticas
+        this.pendingSavedGame = this.loadSavedGame(); // Partida sin terminar que se ofrece reanudar
+        this.profileImportMode = 'merge'; // Cómo se importa un perfil: 'merge' o 'replace'
+        this.par = 0; // Movimientos mínimos desde la distribución inicial
+        this.puzzleRating = null; // Dificultad del puzzle actual
         this.currentTheme = this.loadThemeSettings() || {
             tower: 'default',
             disk: 'default',
             diskShape: 'torus'
         };
+        this.gameSettings = {
+            undoPolicy: 'penalizado', // 'libre', 'penalizado', 'sinRecord'
+            playerName: 'Jugador', // Nombre con el que se guardan las partidas en la clasificación
+            timeBudget: DEFAULT_TIME_BUDGET, // Ritmo de contrarreloj (ver TimeAttack.js)
+            ...this.loadGameSettings()
+        };
         
         // Tiempo para animaciones
         this.clock = new THREE.Clock();
@@ -51,10 +128,42 @@ export class Game { // Exportar la clase
         this.timerDisplay = document.querySelector('#timer span');
         this.resetButton = document.querySelector('#reset-btn');
         this.difficultySelect = document.querySelector('#difficulty-select');
+        this.pegsSelect = document.querySelector('#pegs-select');
+        this.seedDisplay = document.querySelector('#seed-display span');
+        this.parDisplay = document.querySelector('#par-display span');
+        this.seedInput = document.querySelector('#seed-input');
+        this.seedButton = document.querySelector('#seed-btn');
+        this.dailyInfo = document.querySelector('#daily-info');
+        this.dailyButton = document.querySelector('#daily-btn');
+        this.campaignInfo = document.querySelector('#campaign-info');
+        this.campaignButton = document.querySelector('#campaign-btn');
+        this.nextLevelButton = document.querySelector('#next-level-btn');
+        this.resumePanel = document.querySelector('#resume-panel');
+        this.achievementsButton = document.querySelector('#achievements-btn');
+        this.toastContainer = document.querySelector('#toast-container');
         this.gameModeSelect = document.querySelector('#game-mode-select');
+        this.variantSelect = document.querySelector('#variant-select');
+        this.goalSelect = document.querySelector('#goal-select');
+        this.timeBudgetSelect = document.querySelector('#time-budget-select');
+        this.timeChangeDisplay = document.querySelector('#time-change');
         this.gameStatus = document.querySelector('#game-status');
         this.solutionButton = document.querySelector('#solution-btn');
+        this.hintButton = document.querySelector('#hint-btn');
+        this.hintsCounter = document.querySelector('#hints-counter span');
         this.themeButton = document.querySelector('#theme-btn');
+        this.importButton = document.querySelector('#import-record-btn');
+        this.importInput = document.querySelector('#import-record-input');
+        this.recordActions = document.querySelector('#record-actions');
+        this.replayControls = document.querySelector('#replay-controls');
+        this.editorButton = document.querySelector('#editor-btn');
+        this.editorPanel = document.querySelector('#editor-panel');
+        this.levelInput = document.querySelector('#load-level-input');
+        this.profileInput = document.querySelector('#import-profile-input');
+        this.undoButton = document.querySelector('#undo-btn');
+        this.pauseButton = document.querySelector('#pause-btn');
+        this.pauseOverlay = document.querySelector('#pause-overlay');
+        this.splitsPanel = document.querySelector('#splits-panel');
+        this.redoButton = document.querySelector('#redo-btn');
         
         // Audio
         this.moveSound = null;
@@ -77,10 +186,17 @@ export class Game { // Exportar la clase
             this.setupCamera();
             this.setupRaycaster();
             this.setupDragPlane();
+            this.goalPreview = new GoalPreview(this.scene);
             this.createTowers();
-            this.setupControls();
             this.loadSounds();
+            
+            // La campaña se carga antes de habilitar los controles y empezar: tanto la primera
+            // partida como la partida guardada que se ofrece reanudar pueden ser niveles de campaña
+            return this.loadCampaignPacks();
+        }).then(() => {
+            this.setupControls();
             this.resetGame();
+            this.offerSavedGame();
             this.animate();
         });
     }
@@ -205,7 +321,8 @@ export class Game { // Exportar la clase
      */
     setupDragPlane() {
         // Crear un plano invisible para las intersecciones durante el arrastre
-        const planeGeometry = new THREE.PlaneGeometry(50, 50);
+        // (lo bastante grande para cubrir hasta 8 torres)
+        const planeGeometry = new THREE.PlaneGeometry(200, 200);
         const planeMaterial = new THREE.MeshBasicMaterial({ 
             visible: false, 
             side: THREE.DoubleSide 
@@ -248,16 +365,30 @@ export class Game { // Exportar la clase
     }
     
     /**
-     * Crea las tres torres del juego
+     * Calcula las posiciones de las torres, centradas y separadas uniformemente
+     * @return {THREE.Vector3[]} - Posición de cada torre
+     */
+    getTowerPositions() {
+        const positions = [];
+        const offset = (this.numPegs - 1) / 2;
+        
+        for (let i = 0; i < this.numPegs; i++) {
+            positions.push(new THREE.Vector3((i - offset) * this.towerSpacing, 0, 0));
+        }
+        
+        return positions;
+    }
+    
+    /**
+     * Crea las torres del juego según el número de torres seleccionado
      */
     createTowers() {
-        const towerPositions = [
-            new THREE.Vector3(-10, 0, 0), // Torre izquierda
-            new THREE.Vector3(0, 0, 0),   // Torre central
-            new THREE.Vector3(10, 0, 0)   // Torre derecha
-        ];
+        // Eliminar torres anteriores si se cambia el número de torres
+        this.removeTowers();
+        
+        const towerPositions = this.getTowerPositions();
         
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.numPegs; i++) {
             const tower = new Tower(i, towerPositions[i], this.currentTheme.tower);
             this.towers.push(tower);
             
@@ -270,6 +401,109 @@ export class Game { // Exportar la clase
                 this.scene.add(decoration);
             });
         }
+        
+        this.fitCameraToTowers();
+    }
+    
+    /**
+     * Elimina las torres actuales de la escena
+     */
+    removeTowers() {
+        this.towers.forEach(tower => {
+            this.scene.remove(tower.mesh);
+            this.scene.remove(tower.baseMesh);
+            tower.decorations.forEach(decoration => {
+                this.scene.remove(decoration);
+            });
+        });
+        
+        this.towers = [];
+        this.removeDirectionArrows();
+    }
+    
+    /**
+     * Dibuja sobre la base de cada torre una flecha hacia cada torre a la que
+     * la variante permite mover (solo en variantes con direcciones restringidas)
+     */
+    updateDirectionArrows() {
+        this.removeDirectionArrows();
+        if (this.variant === DEFAULT_VARIANT) return;
+        
+        this.towers.forEach(tower => {
+            const baseTop = new THREE.Box3().setFromObject(tower.baseMesh).max.y;
+            
+            this.towers.forEach(target => {
+                if (target === tower || !isDirectionAllowed(this.variant, tower.id, target.id, this.towers.length)) return;
+                
+                const direction = new THREE.Vector3().subVectors(target.position, tower.position).setY(0).normalize();
+                const arrow = new THREE.Mesh(this.createArrowGeometry(), new THREE.MeshBasicMaterial({ color: 0xFFD700 }));
+                
+                // Delante del poste, desplazada hacia la torre destino
+                arrow.position.copy(tower.position).addScaledVector(direction, 1.5);
+                arrow.position.y = baseTop + 0.02;
+                arrow.position.z += 3;
+                arrow.rotation.y = Math.atan2(-direction.z, direction.x);
+                
+                this.scene.add(arrow);
+                this.directionArrows.push(arrow);
+            });
+        });
+    }
+    
+    /**
+     * Crea la geometría de una flecha plana apoyada en el suelo y apuntando al eje X
+     * @return {THREE.BufferGeometry} - Geometría de la flecha
+     */
+    createArrowGeometry() {
+        const shape = new THREE.Shape();
+        shape.moveTo(-1, -0.25);
+        shape.lineTo(0.3, -0.25);
+        shape.lineTo(0.3, -0.6);
+        shape.lineTo(1, 0);
+        shape.lineTo(0.3, 0.6);
+        shape.lineTo(0.3, 0.25);
+        shape.lineTo(-1, 0.25);
+        shape.closePath();
+        
+        const geometry = new THREE.ShapeGeometry(shape);
+        geometry.rotateX(-Math.PI / 2);
+        return geometry;
+    }
+    
+    /**
+     * Elimina las flechas de dirección de la escena
+     */
+    removeDirectionArrows() {
+        this.directionArrows.forEach(arrow => {
+            this.scene.remove(arrow);
+            arrow.geometry.dispose();
+            arrow.material.dispose();
+        });
+        this.directionArrows = [];
+    }
+    
+    /**
+     * Aleja la cámara lo necesario para que quepan todas las torres
+     */
+    fitCameraToTowers() {
+        if (!this.camera) return;
+        
+        // Media anchura a mostrar: de la primera a la última torre más su base
+        let halfWidth = (this.numPegs - 1) / 2 * this.towerSpacing + 6;
+        
+        // La vista previa del objetivo queda a la derecha del tablero
+        if (this.goalPreview && this.goalPreview.width > 0) {
+            halfWidth = Math.max(halfWidth, this.goalPreview.group.position.x + this.goalPreview.width / 2 + 1);
+        }
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        const requiredDistance = halfWidth / (Math.tan(halfFov) * this.camera.aspect);
+        
+        // Distancia de la posición por defecto (0, 15, 25) al punto observado (0, 5, 0)
+        const defaultDistance = Math.sqrt(10 * 10 + 25 * 25);
+        const scale = Math.max(1, requiredDistance / defaultDistance);
+        
+        this.camera.position.set(0, 5 + 10 * scale, 25 * scale);
+        this.camera.lookAt(0, 5, 0);
     }
     
     /**
@@ -281,14 +515,98 @@ export class Game { // Exportar la clase
         
         // Selector de dificultad
         this.difficultySelect.addEventListener('change', () => {
+            if (!this.confirmDiscardGame()) {
+                this.difficultySelect.value = String(this.numDisks);
+                return;
+            }
             this.numDisks = parseInt(this.difficultySelect.value);
+            this.level = null;
             this.resetGame();
         });
         
+        // Selector de número de torres
+        if (this.pegsSelect) {
+            this.pegsSelect.addEventListener('change', () => {
+                if (!this.confirmDiscardGame()) {
+                    this.pegsSelect.value = String(this.numPegs);
+                    return;
+                }
+                this.numPegs = parseInt(this.pegsSelect.value);
+                this.level = null;
+                this.createTowers();
+                this.resetGame();
+            });
+        }
+        
         // Selector de modo de juego
         if (this.gameModeSelect) {
             this.gameModeSelect.addEventListener('change', () => {
+                if (!this.confirmDiscardGame()) {
+                    this.gameModeSelect.value = this.gameMode;
+                    return;
+                }
                 this.gameMode = this.gameModeSelect.value;
+                this.level = null;
+                
+                // Recuperar discos y torres elegidos (el reto diario usa los suyos)
+                this.numDisks = parseInt(this.difficultySelect.value);
+                if (this.pegsSelect && parseInt(this.pegsSelect.value) !== this.numPegs) {
+                    this.numPegs = parseInt(this.pegsSelect.value);
+                    this.createTowers();
+                }
+                
+                this.resetGame();
+                
+                // En la campaña se elige el nivel en la pantalla de niveles
+                if (this.gameMode === 'campana') {
+                    this.openLevelSelect();
+                }
+            });
+        }
+        
+        // Selector del ritmo de contrarreloj
+        if (this.timeBudgetSelect) {
+            this.timeBudgetSelect.value = this.gameSettings.timeBudget;
+            this.timeBudgetSelect.addEventListener('change', () => {
+                if (!this.confirmDiscardGame()) {
+                    this.timeBudgetSelect.value = this.gameSettings.timeBudget;
+                    return;
+                }
+                this.setTimeBudget(this.timeBudgetSelect.value);
+                this.resetGame();
+            });
+        }
+        
+        // Selector de objetivo
+        if (this.goalSelect) {
+            // El objetivo se lee al reiniciar, así que se recuerda el anterior para poder volver a él
+            let previousGoal = this.goalSelect.value;
+            this.goalSelect.addEventListener('change', () => {
+                if (!this.confirmDiscardGame()) {
+                    this.goalSelect.value = previousGoal;
+                    return;
+                }
+                previousGoal = this.goalSelect.value;
+                this.level = null;
+                this.resetGame();
+            });
+        }
+        
+        // Selector de variante de reglas
+        if (this.variantSelect) {
+            this.variantSelect.addEventListener('change', () => {
+                if (!this.confirmDiscardGame()) {
+                    this.variantSelect.value = this.variant;
+                    return;
+                }
+                this.level = null;
+                
+                // Recuperar las torres elegidas si la variante anterior las fijaba
+                if (this.pegsSelect && parseInt(this.pegsSelect.value) !== this.numPegs) {
+                    this.numPegs = parseInt(this.pegsSelect.value);
+                    this.createTowers();
+                }
+                
                 this.resetGame();
             });
         }
@@ -298,26 +616,296 @@ export class Game { // Exportar la clase
             this.solutionButton.addEventListener('click', () => this.showSolution());
         }
         
-        // Botón de temas
+        // Semilla introducida por el jugador
+        if (this.seedButton && this.seedInput) {
+            this.seedButton.addEventListener('click', () => this.applySeedInput());
+            this.seedInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.applySeedInput();
+                }
+            });
+        }
+        
+        // Pantalla de selección de niveles de la campaña
+        if (this.campaignButton) {
+            this.campaignButton.addEventListener('click', () => this.openLevelSelect());
+        }
+        if (this.nextLevelButton) {
+            this.nextLevelButton.addEventListener('click', () => this.playNextCampaignLevel());
+        }
+        const closeCampaignButton = document.querySelector('#close-campaign');
+        if (closeCampaignButton) {
+            closeCampaignButton.addEventListener('click', () => {
+                document.getElementById('campaign-overlay').classList.add('hidden');
+            });
+        }
+        
+        // Clasificaciones
+        const leaderboardButton = document.querySelector('#leaderboard-btn');
+        if (leaderboardButton) {
+            leaderboardButton.addEventListener('click', () => this.openLeaderboard());
+            document.querySelector('#leaderboard-select').addEventListener('change', event => {
+                this.openLeaderboard(event.target.value);
+            });
+            document.querySelector('#player-name-input').addEventListener('change', event => {
+                this.gameSettings.playerName = event.target.value.trim() || 'Jugador';
+                this.saveGameSettings();
+            });
+            document.querySelector('#close-leaderboard').addEventListener('click', () => {
+                document.getElementById('leaderboard-overlay').classList.add('hidden');
+            });
+        }
+        
+        // Estadísticas
+        const statsButton = document.querySelector('#stats-btn');
+        if (statsButton) {
+            statsButton.addEventListener('click', () => this.openStatistics());
+            document.querySelector('#close-stats').addEventListener('click', () => {
+                document.getElementById('stats-overlay').classList.add('hidden');
+            });
+        }
+        
+        // Partida guardada: reanudar o descartar
+        const resumeButton = document.querySelector('#resume-btn');
+        if (resumeButton) {
+            resumeButton.addEventListener('click', () => this.resumeSavedGame(this.pendingSavedGame));
+            document.querySelector('#discard-save-btn').addEventListener('click', () => {
+                this.discardSavedGame();
+                this.clearSavedGame();
+            });
+        }
+        
+        // Al cerrar o recargar la página se guarda la partida en curso para reanudarla
+        window.addEventListener('pagehide', () => this.saveCurrentGame());
+        
+        // Pausa: con el botón, con la tecla P o sola al ocultar la pestaña o salir de la ventana
+        if (this.pauseButton) {
+            this.pauseButton.addEventListener('click', () => this.togglePause());
+        }
+        const continueButton = document.querySelector('#continue-btn');
+        if (continueButton) {
+            continueButton.addEventListener('click', () => this.continueGame());
+        }
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.autoPause();
+            }
+        });
+        window.addEventListener('blur', () => this.autoPause());
+        
+        // Galería de logros
+        if (this.achievementsButton) {
+            this.achievementsButton.addEventListener('click', () => this.openAchievements());
+        }
+        const closeAchievementsButton = document.querySelector('#close-achievements');
+        if (closeAchievementsButton) {
+            closeAchievementsButton.addEventListener('click', () => {
+                document.getElementById('achievements-overlay').classList.add('hidden');
+            });
+        }
+        
+        // Historial de retos diarios
+        if (this.dailyButton) {
+            this.dailyButton.addEventListener('click', () => this.openDailyHistory());
+        }
+        const closeDailyButton = document.querySelector('#close-daily');
+        if (closeDailyButton) {
+            closeDailyButton.addEventListener('click', () => {
+                document.getElementById('daily-overlay').classList.add('hidden');
+            });
+        }
+        
+        // Editor de niveles
+        if (this.editorButton) {
+            this.editorButton.addEventListener('click', () => this.openEditor());
+        }
+        this.setupEditorControls();
+        
+        // Cargar un nivel guardado
+        const loadLevelButton = document.querySelector('#load-level-btn');
+        if (loadLevelButton && this.levelInput) {
+            loadLevelButton.addEventListener('click', () => this.levelInput.click());
+            this.levelInput.addEventListener('change', () => {
+                if (this.levelInput.files.length > 0) {
+                    this.importLevel(this.levelInput.files[0]);
+                }
+                this.levelInput.value = '';
+            });
+        }
+        
+        // Botón de pista
+        if (this.hintButton) {
+            this.hintButton.addEventListener('click', () => this.showHint());
+        }
+        
+        // Botón de temas y opciones del modal (se registran una sola vez)
         if (this.themeButton) {
             this.themeButton.addEventListener('click', () => this.openThemeSelector());
         }
+        this.setupThemeEventListeners();
+        
+        // Botones de deshacer y rehacer
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undoMove());
+        }
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redoMove());
+        }
+        
+        // Exportar registro de la partida
+        const exportJsonButton = document.querySelector('#export-json-btn');
+        if (exportJsonButton) {
+            exportJsonButton.addEventListener('click', () => this.exportGameRecord('json'));
+        }
+        const exportTextButton = document.querySelector('#export-text-btn');
+        if (exportTextButton) {
+            exportTextButton.addEventListener('click', () => this.exportGameRecord('text'));
+        }
+        
+        // Repetición de la partida
+        const replayButton = document.querySelector('#replay-btn');
+        if (replayButton) {
+            replayButton.addEventListener('click', () => this.startReplay(this.createGameRecord()));
+        }
+        this.setupReplayControls();
+        
+        // Importar registro desde el selector de archivos
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => this.importInput.click());
+            this.importInput.addEventListener('change', () => {
+                if (this.importInput.files.length > 0) {
+                    this.importGameRecord(this.importInput.files[0]);
+                }
+                this.importInput.value = '';
+            });
+        }
+        
+        // Exportar e importar todos los datos locales (perfil)
+        const exportProfileButton = document.querySelector('#export-profile-btn');
+        if (exportProfileButton && this.profileInput) {
+            exportProfileButton.addEventListener('click', () => this.exportProfile());
+            document.querySelector('#import-merge-btn').addEventListener('click', () => {
+                this.profileImportMode = 'merge';
+                this.profileInput.click();
+            });
+            document.querySelector('#import-replace-btn').addEventListener('click', () => {
+                this.profileImportMode = 'replace';
+                this.profileInput.click();
+            });
+            this.profileInput.addEventListener('change', () => {
+                if (this.profileInput.files.length > 0) {
+                    this.importProfile(this.profileInput.files[0], this.profileImportMode);
+                }
+                this.profileInput.value = '';
+            });
+        }
+        
+        // Importar registro arrastrando un archivo sobre el tablero
+        this.container.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            this.container.classList.add('drop-target');
+        });
+        this.container.addEventListener('dragleave', () => {
+            this.container.classList.remove('drop-target');
+        });
+        this.container.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.container.classList.remove('drop-target');
+            if (event.dataTransfer.files.length > 0) {
+                this.importGameRecord(event.dataTransfer.files[0]);
+            }
+        });
+        
+        // Atajos de teclado: Ctrl+Z deshace, Ctrl+Y o Ctrl+Mayús+Z rehace
+        document.addEventListener('keydown', (event) => this.onKeyDown(event));
+    }
+    
+    /**
+     * Maneja los atajos de teclado
+     * @param {KeyboardEvent} event - Evento keydown
+     */
+    onKeyDown(event) {
+        // No interferir con la escritura en campos de formulario
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+        
+        if (event.key.toLowerCase() === 'p' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.togglePause();
+            return;
+        }
+        if (!event.ctrlKey && !event.metaKey) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undoMove();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redoMove();
+        }
+    }
+    
+    /**
+     * Inicia una partida con la semilla escrita por el jugador
+     */
+    applySeedInput() {
+        const seed = parseSeed(this.seedInput.value);
+        if (seed === null) {
+            this.playErrorSound();
+            return;
+        }
+        
+        this.seedInput.value = '';
+        this.level = null;
+        this.resetGame(null, seed);
     }
     
     /**
      * Resetea el juego al estado inicial
+     * @param {HanoiState|null} startState - Distribución inicial; si es null se genera según el modo
+     * @param {number|null} seed - Semilla de la partida; si es null se genera una nueva
+     * @param {HanoiState|null} goal - Distribución objetivo; si es null se genera según el selector de objetivo
      */
-    resetGame() {
+    resetGame(startState = null, seed = null, goal = null) {
+        // La partida que se deja a medias cuenta como abandonada y deja de estar guardada
+        // (salvo la que se ofrece reanudar al cargar la página)
+        this.logAbandonedGame();
+        if (!this.pendingSavedGame) {
+            this.clearSavedGame();
+        }
+        
+        // Salir de la repetición, del editor y de la pausa si estaban activos
+        this.stopReplay();
+        this.hideEditor();
+        this.clearPause();
+        
+        // Preparar el generador aleatorio antes de cualquier decisión al azar
+        this.seed = seed === null ? generateSeed() : seed;
+        this.random = createRandom(this.seed);
+        
         // Reiniciar contadores
         this.moves = 0;
         this.timer = 0;
         this.isGameOver = false;
+        this.outcome = 'en-curso';
+        this.gameStarted = false;
+        this.startDate = new Date();
+        this.history.clear();
+        this.undoCount = 0;
+        this.hintsUsed = 0;
+        this.invalidMoves = 0;
+        this.timeScore = null;
+        this.clearHint();
         this.updateUI();
         
         // Limpiar temporizador si está activo
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+        this.stopTimer();
+        this.gameClock.reset();
+        
+        // Detener la solución automática si estaba en curso
+        if (this.solutionInterval) {
+            clearInterval(this.solutionInterval);
+            this.solutionInterval = null;
         }
         
         // Limpiar discos existentes
@@ -327,21 +915,116 @@ export class Game { // Exportar la clase
         this.setupGameMode();
         
         // Crear nuevos discos
-        this.createDisks();
+        this.createDisks(startState);
+        this.updateDirectionArrows();
+        
+        // Preparar el objetivo y su vista previa
+        this.goal = goal ? new HanoiState(goal.pegs, this.variant) : this.createGoal();
+        this.updateGoalPreview();
+        
+        // Calcular el par de la distribución inicial real
+        this.updatePar();
+        
+        // Parciales: cuentan desde los discos que aún no están en su sitio
+        this.splits = [];
+        this.splitsFrom = countPlacedDisks(this.state, this.goal);
+        this.updateSplitsPanel();
+        
+        // Ocultar las acciones de fin de partida
+        if (this.recordActions) {
+            this.recordActions.classList.add('hidden');
+        }
+        if (this.nextLevelButton) {
+            this.nextLevelButton.classList.add('hidden');
+        }
         
         // Actualizar estado del juego
-        this.gameStatus.textContent = "¡Mueve los discos a la torre derecha!";
+        const goalName = this.describeGoal();
+        if (this.campaignLevel && this.level) {
+            const { packIndex, levelIndex } = this.campaignLevel;
+            this.gameStatus.textContent = `${this.campaignPacks[packIndex].name} ${levelIndex + 1}: ${this.level.name}. ` +
+                `¡Lleva los discos a ${goalName}! (par ${this.par}, objetivo ${this.level.targets.time} s)`;
+        } else if (this.gameMode === 'campana') {
+            this.gameStatus.textContent = 'No se pudieron cargar los niveles de la campaña';
+        } else if (this.dailyChallenge) {
+            const practice = this.dailyScored ? '' : ' (ya jugaste hoy: intento de práctica)';
+            this.gameStatus.textContent = `Reto del ${this.dailyChallenge.date}: ¡lleva los discos a ${goalName}!${practice}`;
+        } else if (this.puzzleRating) {
+            this.gameStatus.textContent = `¡Ordena los discos en ${goalName}! Puzzle ${this.puzzleRating.label.toLowerCase()}, par ${this.par}`;
+        } else {
+            this.gameStatus.textContent = `¡Mueve los discos a ${goalName}! (mínimo ${this.par} movimientos)`;
+        }
         this.gameStatus.classList.remove('victory-message');
+        this.updateUI();
     }
     
     /**
      * Configura el juego según el modo seleccionado
      */
     setupGameMode() {
+        // Valores comunes a todos los modos
+        this.timeLimit = 0;
+        this.timeAdjustment = 0;
+        this.goalDistances = null;
+        this.goalPeg = this.numPegs - 1;
+        this.dailyChallenge = null;
+        this.dailyScored = false;
+        this.dailyAttemptStarted = false;
+        
+        // En la campaña el nivel decide discos, torres, reglas y objetivo
+        const isCampaign = this.gameMode === 'campana';
+        if (isCampaign) {
+            this.setupCampaignLevel();
+        } else {
+            this.campaignLevel = null;
+        }
+        
+        // En el reto diario los discos y las torres los decide el reto,
+        // y se juega siempre con las reglas clásicas
+        const isDaily = this.gameMode === 'diario';
+        if (isDaily || !this.variantSelect) {
+            this.variant = DEFAULT_VARIANT;
+        } else {
+            this.variant = this.level ? this.level.variant : this.variantSelect.value;
+        }
+        if (this.variantSelect) {
+            this.variantSelect.disabled = isDaily || isCampaign;
+        }
+        if (this.goalSelect) {
+            this.goalSelect.disabled = isDaily || isCampaign;
+        }
+        if (this.campaignInfo) {
+            this.campaignInfo.classList.toggle('hidden', !isCampaign);
+        }
+        if (this.campaignButton) {
+            this.campaignButton.classList.toggle('hidden', !isCampaign);
+        }
+        
+        // Algunas variantes solo se definen para un número concreto de torres
+        const variant = getVariant(this.variant);
+        if (variant.numPegs && this.numPegs !== variant.numPegs) {
+            this.numPegs = variant.numPegs;
+            this.createTowers();
+        }
+        
+        this.difficultySelect.disabled = isDaily || isCampaign;
+        if (this.pegsSelect) {
+            this.pegsSelect.disabled = isDaily || isCampaign || variant.numPegs !== null;
+        }
+        if (this.dailyInfo) {
+            this.dailyInfo.classList.toggle('hidden', !isDaily);
+        }
+        if (this.dailyButton) {
+            this.dailyButton.classList.toggle('hidden', !isDaily);
+        }
+        if (this.timeBudgetSelect) {
+            this.timeBudgetSelect.classList.toggle('hidden', this.gameMode !== 'contrarreloj');
+        }
+        
         switch (this.gameMode) {
             case 'contrarreloj':
-                // Establecer límite de tiempo según dificultad
-                this.timeLimit = this.numDisks * 20; // 20 segundos por disco
+                // Establecer límite de tiempo según el ritmo elegido y los discos
+                this.timeLimit = calculateTimeLimit(this.gameSettings.timeBudget, this.numDisks);
                 this.timer = this.timeLimit;
                 this.startCountdown();
                 break;
@@ -356,142 +1039,620 @@ export class Game { // Exportar la clase
                 // (se implementará en createDisks())
                 break;
                 
+            case 'diario':
+                this.setupDailyChallenge();
+                break;
+                
             default: // modo normal
                 break;
         }
     }
     
     /**
-     * Inicia la cuenta atrás para el modo contrarreloj
+     * Carga los paquetes de niveles de la campaña en orden
+     * @return {Promise} - Promise que se resuelve cuando están cargados
      */
-    startCountdown() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
-        
-        this.timerInterval = setInterval(() => {
-            this.timer--;
-            this.updateUI();
-            
-            // Reproducir sonido de tick en los últimos 10 segundos
-            if (this.timer <= 10 && this.timer > 0) {
-                this.timeTick.play();
-            }
-            
-            // Verificar si se acabó el tiempo
-            if (this.timer <= 0) {
-                this.timer = 0;
-                clearInterval(this.timerInterval);
-                this.timerInterval = null;
-                this.gameOver(false); // Perdió por tiempo
-            }
-        }, 1000);
+    loadCampaignPacks() {
+        return Promise.all(CAMPAIGN_PACK_FILES.map(file =>
+            fetch(file)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${file}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(validatePack)
+        ))
+            .then(packs => {
+                this.campaignPacks = packs;
+            })
+            .catch(error => {
+                console.error('Error al cargar la campaña:', error);
+                this.campaignPacks = [];
+            });
     }
     
     /**
-     * Reorganiza las torres para el modo desafío
+     * Prepara el nivel de campaña elegido (o el primero pendiente):
+     * discos, torres, reglas, inicio y objetivo salen del nivel
      */
-    rearrangeTowers() {
-        // Cambiar posiciones de las torres aleatoriamente
-        const positions = [
-            new THREE.Vector3(-10, 0, 0),
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(10, 0, 0)
-        ];
+    setupCampaignLevel() {
+        if (this.campaignPacks.length === 0) {
+            this.campaignLevel = null;
+            this.level = null;
+            return;
+        }
         
-        // Mezclar las posiciones
-        for (let i = positions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [positions[i], positions[j]] = [positions[j], positions[i]];
+        if (!this.campaignLevel) {
+            this.campaignLevel = getCurrentLevel(this.campaignPacks, this.campaignProgress);
         }
         
-        // Aplicar nuevas posiciones
-        for (let i = 0; i < this.towers.length; i++) {
-            const tower = this.towers[i];
-            tower.position.copy(positions[i]);
-            tower.mesh.position.copy(positions[i]);
-            tower.mesh.position.y += 6; // Altura de la torre/2
-            tower.baseMesh.position.copy(positions[i]);
+        const { packIndex, levelIndex } = this.campaignLevel;
+        const level = this.campaignPacks[packIndex].levels[levelIndex];
+        this.level = level;
+        this.numDisks = level.disks;
+        if (this.numPegs !== level.pegs) {
+            this.numPegs = level.pegs;
+            this.createTowers();
+        }
+        
+        if (this.campaignInfo) {
+            const result = this.campaignProgress.levels[getLevelKey(this.campaignPacks[packIndex], level)];
+            this.campaignInfo.querySelector('span').textContent =
+                `${levelIndex + 1}/${this.campaignPacks[packIndex].levels.length} ${this.formatStars(result ? result.stars : 0)}`;
         }
     }
     
     /**
-     * Elimina todos los discos existentes
+     * Muestra las estrellas conseguidas sobre tres
+     * @param {number} stars - Estrellas conseguidas (0-3)
+     * @return {string} - Por ejemplo "★★☆"
      */
-    clearDisks() {
-        // Eliminar discos de las torres
-        this.towers.forEach(tower => {
-            tower.disks = [];
-        });
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+    
+    /**
+     * Muestra la pantalla de selección de niveles de la campaña
+     */
+    openLevelSelect() {
+        const container = document.querySelector('#campaign-packs');
         
-        // Eliminar meshes de la escena
-        for (const disk of this.disks) {
-            this.scene.remove(disk.mesh);
+        if (this.campaignPacks.length === 0) {
+            container.innerHTML = '<p>No se pudieron cargar los niveles de la campaña.</p>';
+        } else {
+            container.innerHTML = this.campaignPacks.map((pack, packIndex) => {
+                const levels = pack.levels.map((level, levelIndex) => {
+                    const result = this.campaignProgress.levels[getLevelKey(pack, level)];
+                    const unlocked = isLevelUnlocked(this.campaignPacks, this.campaignProgress, packIndex, levelIndex);
+                    const label = unlocked
+                        ? `${levelIndex + 1}. ${level.name}<span class="level-stars">${this.formatStars(result ? result.stars : 0)}</span>`
+                        : `${levelIndex + 1}. 🔒`;
+                    return `<button class="level-btn" data-pack="${packIndex}" data-level="${levelIndex}"` +
+                        `${unlocked ? '' : ' disabled'}>${label}</button>`;
+                });
+                return `<h3>${pack.name}</h3><div class="level-grid">${levels.join('')}</div>`;
+            }).join('');
+            
+            container.querySelectorAll('.level-btn:not([disabled])').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.startCampaignLevel(Number(button.dataset.pack), Number(button.dataset.level));
+                });
+            });
         }
         
-        this.disks = [];
-        this.selectedDisk = null;
-        this.draggingDisk = null;
+        document.getElementById('campaign-overlay').classList.remove('hidden');
     }
     
     /**
-     * Crea los discos según la dificultad seleccionada y el modo de juego
+     * Empieza un nivel de la campaña
+     * @param {number} packIndex - Índice del paquete
+     * @param {number} levelIndex - Índice del nivel en el paquete
      */
-    createDisks() {
-        // Crear discos
-        for (let i = 0; i < this.numDisks; i++) {
-            const size = this.numDisks - i;
+    startCampaignLevel(packIndex, levelIndex) {
+        document.getElementById('campaign-overlay').classList.add('hidden');
+        
+        this.campaignLevel = { packIndex, levelIndex };
+        this.gameMode = 'campana';
+        if (this.gameModeSelect) {
+            this.gameModeSelect.value = 'campana';
+        }
+        this.resetGame();
+    }
+    
+    /**
+     * Pasa al siguiente nivel de la campaña
+     */
+    playNextCampaignLevel() {
+        if (!this.campaignLevel) return;
+        
+        const next = getNextLevel(this.campaignPacks, this.campaignLevel.packIndex, this.campaignLevel.levelIndex);
+        if (next) {
+            this.startCampaignLevel(next.packIndex, next.levelIndex);
+        }
+    }
+    
+    /**
+     * Guarda las estrellas del nivel superado y ofrece el siguiente
+     */
+    saveCampaignResult() {
+        const { packIndex, levelIndex } = this.campaignLevel;
+        const pack = this.campaignPacks[packIndex];
+        const result = { moves: this.moves, time: this.getElapsedSeconds() };
+        const stars = calculateStars(this.level, result);
+        
+        this.campaignProgress = recordLevelResult(this.campaignProgress, getLevelKey(pack, this.level), { ...result, stars });
+        saveData('campaign', this.campaignProgress);
+        
+        const next = getNextLevel(this.campaignPacks, packIndex, levelIndex);
+        this.gameStatus.textContent = `¡Nivel superado! ${this.formatStars(stars)} · ${this.moves} movimientos en ${formatPreciseTime(result.time)}` +
+            (next ? '' : ' · ¡Campaña completada!');
+        if (next && this.nextLevelButton) {
+            this.nextLevelButton.classList.remove('hidden');
+        }
+        if (this.campaignInfo) {
+            this.campaignInfo.querySelector('span').textContent =
+                `${levelIndex + 1}/${pack.levels.length} ${this.formatStars(this.campaignProgress.levels[getLevelKey(pack, this.level)].stars)}`;
+        }
+    }
+    
+    /**
+     * Carga el progreso de la campaña
+     * @return {Object} - Progreso ({levels})
+     */
+    loadCampaignProgress() {
+        return { ...createEmptyProgress(), ...loadData('campaign', {}) };
+    }
+    
+    /**
+     * Prepara el reto del día: semilla, discos, torre objetivo y modificadores
+     */
+    setupDailyChallenge() {
+        const challenge = createDailyChallenge(new Date());
+        this.dailyChallenge = challenge;
+        
+        // Todas las decisiones aleatorias salen de la semilla del día
+        this.seed = challenge.seed;
+        this.random = createRandom(challenge.seed);
+        
+        this.numDisks = challenge.numDisks;
+        if (this.numPegs !== challenge.numPegs) {
+            this.numPegs = challenge.numPegs;
+            this.createTowers();
+        }
+        this.goalPeg = challenge.goalPeg;
+        
+        // La cuenta atrás empieza con el primer movimiento (ver moveDisk)
+        if (challenge.modifiers.timeLimit > 0) {
+            this.timeLimit = challenge.modifiers.timeLimit;
+            this.timer = this.timeLimit;
+        }
+        if (challenge.modifiers.shuffledTowers) {
+            this.rearrangeTowers();
+        }
+        
+        // Solo el primer intento de cada día puntúa
+        const data = this.loadDailyData();
+        this.dailyScored = !data.results[challenge.date];
+    }
+    
+    /**
+     * Marca el intento diario como empezado al primer movimiento,
+     * para que reiniciar o recargar no permita otro intento puntuable
+     */
+    registerDailyAttempt() {
+        if (!this.dailyChallenge || !this.dailyScored || this.dailyAttemptStarted) return;
+        
+        this.dailyAttemptStarted = true;
+        this.saveDailyResult('en-curso');
+    }
+    
+    /**
+     * Guarda el resultado del intento diario puntuable
+     * @param {string} outcome - 'victoria', 'derrota' o 'en-curso'
+     */
+    saveDailyResult(outcome) {
+        const data = recordDailyResult(this.loadDailyData(), this.dailyChallenge.date, {
+            outcome,
+            moves: this.moves,
+            time: this.getElapsedSeconds(),
+            hints: this.hintsUsed
+        });
+        
+        saveData('daily', data);
+    }
+    
+    /**
+     * Carga el historial de retos diarios
+     * @return {Object} - Datos del historial ({results, streak, bestStreak, lastWin})
+     */
+    loadDailyData() {
+        return { ...createEmptyDailyData(), ...loadData('daily', {}) };
+    }
+    
+    /**
+     * Muestra el historial de retos diarios
+     */
+    openDailyHistory() {
+        const data = this.loadDailyData();
+        const todayKey = getDateKey();
+        
+        document.querySelector('#daily-streak').textContent = getCurrentStreak(data, todayKey);
+        document.querySelector('#daily-best-streak').textContent = data.bestStreak;
+        
+        const outcomeLabels = { victoria: 'Victoria', derrota: 'Derrota', 'en-curso': 'Sin terminar' };
+        const rows = Object.keys(data.results).sort().reverse().map(dateKey => {
+            const result = data.results[dateKey];
+            return `<tr><td>${escapeHtml(dateKey)}</td><td>${escapeHtml(outcomeLabels[result.outcome] || result.outcome)}</td>` +
+                `<td>${escapeHtml(result.moves)}</td><td>${formatTime(result.time)}</td></tr>`;
+        });
+        document.querySelector('#daily-history tbody').innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="4">Todavía no has jugado ningún reto</td></tr>';
+        
+        document.getElementById('daily-overlay').classList.remove('hidden');
+    }
+    
+    /**
+     * Indica si el temporizador es una cuenta atrás
+     * @return {boolean} - true en contrarreloj o en retos con límite de tiempo
+     */
+    isCountdown() {
+        return this.timeLimit > 0;
+    }
+    
+    /**
+     * Inicia la cuenta atrás para el modo contrarreloj
+     * (el ciclo de animación la refresca y comprueba si se ha acabado el tiempo)
+     */
+    startCountdown() {
+        this.gameClock.start();
+        this.lastTickSecond = Math.ceil(this.timer);
+    }
+    
+    /**
+     * Indica si la partida es contrarreloj con bonificaciones y penalizaciones de tiempo
+     * @return {boolean} - true en modo contrarreloj con la cuenta atrás en marcha
+     */
+    isTimeAttack() {
+        return this.gameMode === 'contrarreloj' && this.isCountdown() && !this.isGameOver;
+    }
+    
+    /**
+     * Comprueba si un movimiento sigue un camino óptimo hacia el objetivo,
+     * es decir, si deja la partida a un movimiento menos de resolverse.
+     * Las distancias se calculan una sola vez por partida y objetivo; si el tablero es
+     * demasiado grande para calcularlas con exactitud, ningún movimiento bonifica
+     * @param {number} fromTower - Torre de origen
+     * @param {number} toTower - Torre de destino
+     * @return {boolean} - true si el movimiento es óptimo
+     */
+    isOptimalMove(fromTower, toTower) {
+        if (!this.goalDistances || this.goalDistances.goal !== this.goal) {
+            this.goalDistances = { goal: this.goal, distanceTo: createGoalDistances(this.state, this.goal) };
+        }
+        
+        const { distanceTo } = this.goalDistances;
+        if (!distanceTo) return false;
+        
+        const next = this.state.clone();
+        next.move(fromTower, toTower);
+        return distanceTo(next) === distanceTo(this.state) - 1;
+    }
+    
+    /**
+     * Suma o resta tiempo a la cuenta atrás de contrarreloj
+     * @param {number} seconds - Segundos a sumar (negativo para restar)
+     */
+    adjustTime(seconds) {
+        this.syncTimer();
+        const applied = Math.max(seconds, -this.timer);
+        this.timer += applied;
+        this.timeAdjustment += applied;
+        this.showTimeChange(seconds);
+        this.updateUI();
+        
+        if (this.timer <= 0) {
+            this.gameOver(false); // Perdió por tiempo
+        }
+    }
+    
+    /**
+     * Muestra junto al temporizador el tiempo ganado o perdido
+     * @param {number} seconds - Segundos sumados o restados
+     */
+    showTimeChange(seconds) {
+        if (!this.timeChangeDisplay) return;
+        
+        clearTimeout(this.timeChangeTimeout);
+        this.timeChangeDisplay.textContent = seconds > 0 ? `+${seconds} s` : `−${-seconds} s`;
+        this.timeChangeDisplay.className = seconds > 0 ? 'time-bonus' : 'time-penalty';
+        this.timeChangeTimeout = setTimeout(() => {
+            this.timeChangeDisplay.className = 'hidden';
+        }, 1000);
+    }
+    
+    /**
+     * Reorganiza las torres para el modo desafío
+     */
+    rearrangeTowers() {
+        // Cambiar posiciones de las torres aleatoriamente
+        const positions = this.getTowerPositions();
+        
+        // Mezclar las posiciones
+        for (let i = positions.length - 1; i > 0; i--) {
+            const j = randomInt(this.random, i + 1);
+            [positions[i], positions[j]] = [positions[j], positions[i]];
+        }
+        
+        // Aplicar nuevas posiciones
+        for (let i = 0; i < this.towers.length; i++) {
+            const tower = this.towers[i];
+            tower.position.copy(positions[i]);
+            tower.mesh.position.copy(positions[i]);
+            tower.mesh.position.y += 6; // Altura de la torre/2
+            tower.baseMesh.position.copy(positions[i]);
+        }
+    }
+    
+    /**
+     * Elimina todos los discos existentes
+     */
+    clearDisks() {
+        // Eliminar discos de las torres
+        this.towers.forEach(tower => {
+            tower.disks = [];
+        });
+        
+        // Eliminar meshes de la escena
+        for (const disk of this.disks) {
+            this.scene.remove(disk.mesh);
+        }
+        
+        this.disks = [];
+        this.selectedDisk = null;
+        this.draggingDisk = null;
+    }
+    
+    /**
+     * Crea los discos según la dificultad seleccionada y el modo de juego
+     * @param {HanoiState|null} startState - Distribución inicial; si es null se genera según el modo
+     */
+    createDisks(startState = null) {
+        // Crear discos
+        for (let i = 0; i < this.numDisks; i++) {
+            const size = this.numDisks - i;
             const disk = new Disk(size, this.numDisks, i, this.currentTheme.disk);
             disk.shape = this.currentTheme.diskShape;
             this.disks.push(disk);
             this.scene.add(disk.mesh);
         }
         
-        if (this.gameMode === 'puzzle') {
+        if (startState) {
+            // Distribución indicada (por ejemplo, al importar una partida)
+            this.state = startState.clone();
+        } else if (this.level) {
+            // Distribución inicial del nivel cargado
+            this.state = new HanoiState(this.level.start, this.variant);
+        } else if (this.dailyChallenge) {
+            // Distribución del reto del día
+            this.state = new HanoiState(this.dailyChallenge.start, this.variant);
+        } else if (this.gameMode === 'puzzle') {
             // Distribuir discos aleatoriamente entre las torres para el modo puzzle
             // Asegurando que la configuración sea válida y resoluble
-            this.createPuzzleConfiguration();
+            this.state = this.createPuzzleConfiguration();
         } else {
             // Modo normal, contrarreloj o desafío: todos los discos en la primera torre
-            for (let i = 0; i < this.disks.length; i++) {
-                this.towers[0].addDisk(this.disks[i]);
-            }
+            this.state = HanoiState.initial(this.numDisks, this.towers.length, 0, this.variant);
         }
+        
+        this.startState = this.state.clone();
+        this.renderState();
     }
     
     /**
      * Crea una configuración inicial para el modo puzzle
+     * @return {HanoiState} - Estado con los discos repartidos entre las torres
      */
     createPuzzleConfiguration() {
-        // Distribuir los discos entre las torres
-        // Asegurar que cada torre cumple la regla: discos más grandes abajo
-        let availableDisks = [...this.disks];
+        // Distribuir los discos entre las torres con el generador de la partida,
+        // asegurando que cada torre cumple la regla: discos más grandes abajo
+        return HanoiState.random(this.numDisks, this.towers.length, this.random, this.variant);
+    }
+    
+    /**
+     * Crea la distribución objetivo según el nivel cargado o el selector de objetivo
+     * (el reto diario siempre pide una pila en su torre objetivo)
+     * @return {HanoiState} - Distribución objetivo
+     */
+    createGoal() {
+        if (this.level) {
+            return new HanoiState(this.level.goal, this.variant);
+        }
         
-        // Ordenar discos por tamaño (mayor a menor)
-        availableDisks.sort((a, b) => b.size - a.size);
+        const goalType = this.dailyChallenge || !this.goalSelect ? 'pila' : this.goalSelect.value;
         
-        // Distribuir aleatoriamente entre las torres
-        while (availableDisks.length > 0) {
-            const towerIndex = Math.floor(Math.random() * 3);
-            const tower = this.towers[towerIndex];
-            
-            // Obtener disco más grande disponible que pueda ir en esta torre
-            let validDisks = availableDisks.filter(disk => 
-                tower.disks.length === 0 || disk.size < tower.getTopDisk().size
-            );
-            
-            if (validDisks.length > 0) {
-                // Tomar un disco aleatorio de entre los válidos
-                const diskIndex = Math.floor(Math.random() * validDisks.length);
-                const selectedDisk = validDisks[diskIndex];
+        switch (goalType) {
+            case 'centro':
+                // Todos los discos en la torre central
+                return HanoiState.initial(this.numDisks, this.numPegs, Math.floor((this.numPegs - 1) / 2), this.variant);
                 
-                // Quitar disco de disponibles
-                availableDisks = availableDisks.filter(disk => disk !== selectedDisk);
-                
-                // Añadir a la torre
-                tower.addDisk(selectedDisk);
+            case 'patron': {
+                // Reparto aleatorio (según la semilla) distinto de la distribución inicial
+                let goal;
+                do {
+                    goal = HanoiState.random(this.numDisks, this.numPegs, this.random, this.variant);
+                } while (goal.equals(this.startState));
+                return goal;
             }
+                
+            default: // pila en la torre objetivo
+                return HanoiState.initial(this.numDisks, this.numPegs, this.goalPeg, this.variant);
+        }
+    }
+    
+    /**
+     * Describe el objetivo para los mensajes de estado
+     * @return {string} - Por ejemplo "la torre derecha" o "el patrón de la vista previa"
+     */
+    describeGoal() {
+        const stackPeg = this.goal.pegs.findIndex(peg => peg.length === this.numDisks);
+        if (stackPeg === -1) {
+            return 'el patrón de la vista previa';
+        }
+        return stackPeg === this.numPegs - 1 ? 'la torre derecha' : `la torre ${stackPeg + 1}`;
+    }
+    
+    /**
+     * Muestra la vista previa del objetivo, salvo en el objetivo clásico (pila en la torre derecha)
+     */
+    updateGoalPreview() {
+        if (!this.goalPreview) return;
+        
+        if (this.goal.isSolved(this.numPegs - 1)) {
+            this.goalPreview.clear();
+        } else {
+            const boardHalfWidth = (this.numPegs - 1) / 2 * this.towerSpacing + 4;
+            const towerXs = this.towers.map(tower => tower.position.x);
+            this.goalPreview.show(this.goal, towerXs, boardHalfWidth);
+        }
+        this.fitCameraToTowers();
+    }
+    
+    /**
+     * Calcula el par de la partida y, en modo puzzle, su dificultad
+     */
+    updatePar() {
+        this.par = calculatePar(this.startState, this.goal);
+        this.puzzleRating = this.gameMode === 'puzzle' ? getDifficultyRating(this.par) : null;
+    }
+    
+    /**
+     * Coloca los discos en las torres según el estado lógico actual
+     * @param {boolean} animate - Si los discos deben moverse con animación
+     */
+    renderState(animate = true) {
+        this.towers.forEach(tower => {
+            tower.disks = [];
+        });
+        
+        this.state.pegs.forEach((sizes, pegIndex) => {
+            sizes.forEach(size => {
+                this.towers[pegIndex].addDisk(this.getDiskBySize(size), animate);
+            });
+        });
+    }
+    
+    /**
+     * Obtiene el disco de un tamaño determinado
+     * @param {number} size - Tamaño del disco
+     * @return {Disk|null} - Disco encontrado o null
+     */
+    getDiskBySize(size) {
+        return this.disks.find(disk => disk.size === size) || null;
+    }
+    
+    /**
+     * Aplica un movimiento al estado lógico y lo refleja en las torres
+     * @param {number} fromIndex - Índice de la torre origen
+     * @param {number} toIndex - Índice de la torre destino
+     * @param {boolean} record - Si el movimiento se registra en el historial
+     * @return {Object} - Movimiento realizado ({from, to, disk})
+     */
+    moveDisk(fromIndex, toIndex, record = true) {
+        const move = this.state.move(fromIndex, toIndex);
+        const disk = this.towers[fromIndex].removeDisk();
+        this.towers[toIndex].addDisk(disk);
+        
+        if (record) {
+            // Guardar el instante del movimiento para el registro de la partida
+            const t = this.trackMove();
+            this.history.push({ ...move, t });
+        }
+        return move;
+    }
+    
+    /**
+     * Lleva la cuenta de un movimiento de la partida, nuevo o rehecho: pone en marcha
+     * la cuenta atrás del reto diario, cuenta el intento diario y actualiza los parciales
+     * @return {number} - Instante del movimiento (milisegundos desde el inicio)
+     */
+    trackMove() {
+        // La cuenta atrás del reto diario se pone en marcha con el primer movimiento,
+        // igual que se cuenta el intento
+        if (this.dailyChallenge && this.isCountdown() && !this.gameClock.isRunning) {
+            this.startCountdown();
         }
+        
+        const t = Math.round(this.gameClock.elapsed);
+        this.registerDailyAttempt();
+        this.updateSplits(t);
+        return t;
+    }
+    
+    /**
+     * Actualiza contador, sonido y logros tras un movimiento del jugador, nuevo o rehecho
+     */
+    afterPlayerMove() {
+        this.moves++;
+        this.updateUI();
+        
+        this.playMoveSound();
+        this.notifyAchievements({ type: 'move' });
+    }
+    
+    /**
+     * Revierte un movimiento en el estado lógico y devuelve el disco a su torre de origen
+     * @param {Object} move - Movimiento a revertir ({from, to, disk})
+     */
+    unmoveDisk(move) {
+        this.state.unapply(move);
+        const disk = this.towers[move.to].removeDisk();
+        this.towers[move.from].addDisk(disk);
+    }
+    
+    /**
+     * Comprueba si se pueden deshacer o rehacer movimientos en este momento
+     * @return {boolean} - true si el tablero acepta cambios del historial
+     */
+    canUseHistory() {
+        return !this.isGameOver && !this.isReplaying && !this.isEditing && !this.isPaused &&
+            !this.draggingDisk && !this.solutionInterval;
+    }
+    
+    /**
+     * Deshace el último movimiento devolviendo el disco a su torre de origen
+     */
+    undoMove() {
+        if (!this.canUseHistory() || !this.history.canUndo()) return;
+        
+        const move = this.history.undo();
+        this.unmoveDisk(move);
+        
+        // Según la política, deshacer suma un movimiento o revierte el anterior
+        const policy = UNDO_POLICIES[this.gameSettings.undoPolicy] || UNDO_POLICIES.penalizado;
+        this.moves += policy.countsAsMove ? 1 : -1;
+        this.undoCount++;
+        this.updateUI();
+        
+        this.playMoveSound();
+        this.notifyAchievements({ type: 'undo' });
+        this.saveCurrentGame();
+    }
+    
+    /**
+     * Rehace el último movimiento deshecho
+     */
+    redoMove() {
+        if (!this.canUseHistory() || !this.history.canRedo()) return;
+        
+        const move = this.history.redo();
+        this.moveDisk(move.from, move.to, false);
+        this.trackMove();
+        this.afterPlayerMove();
+        
+        this.saveCurrentGame();
+        this.checkWinCondition();
     }
     
     /**
@@ -499,7 +1660,7 @@ export class Game { // Exportar la clase
      * @param {MouseEvent} event - Evento mousedown
      */
     onMouseDown(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Actualizar coordenadas del mouse
         this.updateMouseCoordinates(event);
@@ -513,7 +1674,7 @@ export class Game { // Exportar la clase
      * @param {MouseEvent} event - Evento mousemove
      */
     onMouseMove(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Actualizar coordenadas del mouse
         this.updateMouseCoordinates(event);
@@ -527,7 +1688,7 @@ export class Game { // Exportar la clase
      * @param {MouseEvent} event - Evento mouseup
      */
     onMouseUp(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Actualizar coordenadas del mouse
         this.updateMouseCoordinates(event);
@@ -541,7 +1702,7 @@ export class Game { // Exportar la clase
      * @param {TouchEvent} event - Evento touchstart
      */
     onTouchStart(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Usar el primer toque
         if (event.touches.length > 0) {
@@ -555,7 +1716,7 @@ export class Game { // Exportar la clase
      * @param {TouchEvent} event - Evento touchmove
      */
     onTouchMove(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Usar el primer toque
         if (event.touches.length > 0) {
@@ -569,7 +1730,7 @@ export class Game { // Exportar la clase
      * @param {TouchEvent} event - Evento touchend
      */
     onTouchEnd(event) {
-        if (this.isGameOver) return;
+        if (this.isGameOver || this.isReplaying) return;
         
         // Soltar el disco
         this.dropDisk();
@@ -599,13 +1760,19 @@ export class Game { // Exportar la clase
      * Intenta seleccionar un disco para arrastrar
      */
     trySelectDisk() {
-        // Si ya hay un disco arrastrándose, ignorar
-        if (this.draggingDisk) return;
+        // Si ya hay un disco arrastrándose, se está mostrando la solución o está en pausa, ignorar
+        if (this.draggingDisk || this.solutionInterval || this.isPaused) return;
         
-        // Iniciar temporizador al interactuar por primera vez
-        if (!this.timerInterval && this.gameMode !== 'contrarreloj') {
+        // Al tocar un disco desaparece la pista anterior
+        this.clearHint();
+        
+        // Iniciar temporizador al interactuar por primera vez (no en el editor)
+        if (!this.gameClock.isRunning && !this.isCountdown() && !this.isEditing) {
             this.startTimer();
         }
+        if (!this.isEditing) {
+            this.gameStarted = true;
+        }
         
         // Detectar discos en el punto
         this.raycaster.setFromCamera(this.mouse, this.camera);
@@ -669,13 +1836,14 @@ export class Game { // Exportar la clase
     }
     
     /**
-     * Resalta las torres válidas durante el arrastre
+     * Resalta las torres válidas durante el arrastre. isLegal aplica también
+     * la variante de reglas, así que en la adyacente no se resalta la torre exterior opuesta.
      */
     highlightValidTowersForDragging() {
         if (!this.draggingDisk) return;
         
         this.towers.forEach(tower => {
-            if (tower !== this.draggingDisk.currentTower && tower.canAddDisk(this.draggingDisk)) {
+            if (this.state.isLegal(this.draggingDisk.currentTower.id, tower.id)) {
                 tower.highlight(true);
             } else {
                 tower.highlight(false);
@@ -691,31 +1859,45 @@ export class Game { // Exportar la clase
         
         // Encontrar la torre más cercana
         const closestTower = this.findClosestTower(this.draggingDisk.mesh.position);
+        const sourceTower = this.draggingDisk.currentTower;
         
-        if (closestTower) {
+        if (closestTower && closestTower.id !== sourceTower.id) {
             // Verificar si el movimiento es válido
-            if (closestTower !== this.draggingDisk.currentTower && 
-                closestTower.canAddDisk(this.draggingDisk)) {
-                
-                // Quitar disco de su torre actual
-                const sourceTower = this.draggingDisk.currentTower;
-                sourceTower.removeDisk();
-                
-                // Añadir disco a la nueva torre
-                closestTower.addDisk(this.draggingDisk);
-                
-                // Incrementar contador de movimientos
-                this.moves++;
-                this.updateUI();
-                
-                // Reproducir sonido
+            if (this.isEditing && this.state.isLegal(sourceTower.id, closestTower.id)) {
+                // En el editor solo cambia la distribución que se está editando
+                this.moveDisk(sourceTower.id, closestTower.id, false);
                 this.playMoveSound();
+            } else if (this.state.isLegal(sourceTower.id, closestTower.id)) {
+                // En contrarreloj, seguir un camino óptimo da tiempo extra
+                const timeBonus = this.isTimeAttack() && this.isOptimalMove(sourceTower.id, closestTower.id);
                 
-                // Verificar victoria
+                // Mover el disco en el estado y en la escena
+                this.moveDisk(sourceTower.id, closestTower.id);
+                this.afterPlayerMove();
+                
+                // Verificar victoria (el tiempo extra llega después, para no sumarlo al sobrante)
                 this.checkWinCondition();
+                if (timeBonus && !this.isGameOver) {
+                    this.adjustTime(BONUS_SECONDS);
+                }
+                this.saveCurrentGame();
             } else {
-                // Movimiento inválido, regresar a posición original
-                const sourceTower = this.draggingDisk.currentTower;
+                // Movimiento que incumple las reglas: cuenta para la puntuación (no en el editor)
+                if (!this.isEditing) {
+                    this.invalidMoves++;
+                    
+                    // En contrarreloj, además, cuesta tiempo
+                    if (this.isTimeAttack()) {
+                        this.adjustTime(-PENALTY_SECONDS);
+                    }
+                }
+                
+                // Explicar si lo impide la variante de reglas
+                if (!isDirectionAllowed(this.variant, sourceTower.id, closestTower.id, this.towers.length)) {
+                    this.gameStatus.textContent = `Variante ${getVariant(this.variant).label.toLowerCase()}: ${getVariant(this.variant).description}`;
+                }
+                
+                // Regresar a posición original
                 this.draggingDisk.updatePosition(
                     sourceTower.position.x,
                     this.draggingDisk.originalPosition.y,
@@ -727,8 +1909,8 @@ export class Game { // Exportar la clase
                 this.playErrorSound();
             }
         } else {
-            // No hay torre cercana, volver a la posición original
-            const sourceTower = this.draggingDisk.currentTower;
+            // No hay torre cercana o se devuelve a la suya: no es un movimiento (ni inválido),
+            // solo vuelve a la posición original
             this.draggingDisk.updatePosition(
                 sourceTower.position.x,
                 this.draggingDisk.originalPosition.y,
@@ -753,15 +1935,19 @@ export class Game { // Exportar la clase
         let minDistance = Infinity;
         
         this.towers.forEach(tower => {
-            const distance = position.distanceTo(tower.position);
+            // Distancia en el plano horizontal, sin tener en cuenta la altura del disco
+            const dx = position.x - tower.position.x;
+            const dz = position.z - tower.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
             if (distance < minDistance) {
                 minDistance = distance;
                 closestTower = tower;
             }
         });
         
-        // Solo considerar como cercana si está a menos de cierta distancia
-        return minDistance < 8 ? closestTower : null;
+        // Solo considerar como cercana si está a menos de cierta distancia,
+        // proporcional a la separación entre torres
+        return minDistance < this.towerSpacing * 0.8 ? closestTower : null;
     }
     
     /**
@@ -786,8 +1972,8 @@ export class Game { // Exportar la clase
      * Verifica si se ha completado el puzzle
      */
     checkWinCondition() {
-        // La victoria se logra cuando todos los discos están en la tercera torre
-        if (this.towers[2].isComplete(this.numDisks)) {
+        // La victoria se logra cuando la distribución coincide con el objetivo
+        if (this.state.isSolved(this.goal)) {
             this.gameOver(true); // Victoria
         }
     }
@@ -798,61 +1984,498 @@ export class Game { // Exportar la clase
      */
     gameOver(victory) {
         this.isGameOver = true;
+        this.outcome = victory ? 'victoria' : 'derrota';
+        this.clearSavedGame();
         
-        // Detener el temporizador
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+        // Detener la solución automática si se acaba el tiempo mientras se muestra
+        if (this.solutionInterval) {
+            clearInterval(this.solutionInterval);
+            this.solutionInterval = null;
         }
         
+        // Detener el temporizador con el tiempo exacto del final
+        this.stopTimer();
+        this.syncTimer();
+        this.updateTimerDisplay();
+        
         if (victory) {
-            // Actualizar mensaje de estado para victoria
-            this.gameStatus.textContent = `¡Victoria! Movimientos: ${this.moves}`;
+            // Actualizar mensaje de estado para victoria con la puntuación
+            this.score = this.calculateScore();
+            this.gameStatus.textContent = `¡Victoria! Movimientos: ${this.moves} · ` +
+                `Tiempo: ${formatPreciseTime(this.getElapsedSeconds())} · ` +
+                `${this.score.points} puntos ${this.formatStars(this.score.stars)}`;
+            
+            // En contrarreloj, el tiempo que sobra también puntúa
+            if (this.gameMode === 'contrarreloj') {
+                this.timeScore = calculateTimeAttackScore(this.timer);
+                this.gameStatus.textContent += ` · Sobran ${formatPreciseTime(this.timer)}: ${this.timeScore} puntos de contrarreloj`;
+            }
             this.gameStatus.classList.add('victory-message');
             
             // Reproducir sonido de victoria
             this.playVictorySound();
             
-            // Guardar mejor puntuación
-            this.saveBestScore();
+            // Guardar la partida en la clasificación
+            const rank = this.saveBestScore();
+            if (rank > 0) {
+                this.gameStatus.textContent += ` · Puesto ${rank} en la clasificación`;
+            }
+            
+            // Guardar los parciales si es el mejor tiempo de la configuración
+            if (this.saveBestSplits()) {
+                this.gameStatus.textContent += ' · ¡Mejor tiempo!';
+            }
+            
+            // Estrellas y desbloqueo del siguiente nivel de la campaña
+            if (this.campaignLevel && this.level) {
+                this.saveCampaignResult();
+            }
         } else {
             // Actualizar mensaje para derrota (tiempo agotado)
             this.gameStatus.textContent = "¡Tiempo agotado!";
             this.gameStatus.classList.add('defeat-message');
         }
-    }
-    
-    /**
-     * Muestra la solución al puzzle
-     */
-    showSolution() {
-        if (this.isGameOver) return;
         
-        // Detener cualquier solución en curso
-        if (this.solutionInterval) {
-            clearInterval(this.solutionInterval);
-            this.solutionInterval = null;
+        // Guardar el intento puntuable del reto diario
+        if (this.dailyChallenge && this.dailyScored) {
+            this.saveDailyResult(this.outcome);
+            this.dailyScored = false;
+            
+            const streak = getCurrentStreak(this.loadDailyData(), this.dailyChallenge.date);
+            this.gameStatus.textContent += ` · Racha diaria: ${streak}`;
+            this.notifyAchievements({ type: 'streak', streak });
         }
         
-        // Reiniciar el juego para partir desde el estado inicial
-        this.resetForSolution();
-        
-        // Generar los pasos de la solución
-        const solutionSteps = [];
-        this.generateHanoiSolution(this.numDisks, 0, 2, 1, solutionSteps);
+        this.logGame(this.outcome);
         
-        // Mostrar mensaje
-        this.gameStatus.textContent = `Mostrando solución automática (${solutionSteps.length} pasos)`;
+        this.notifyAchievements({
+            type: victory ? 'victory' : 'defeat',
+            mode: this.gameMode,
+            variant: this.variant,
+            disks: this.numDisks,
+            moves: this.moves,
+            par: this.par,
+            time: this.getElapsedSeconds(),
+            hints: this.hintsUsed,
+            undos: this.undoCount
+        });
         
-        let stepIndex = 0;
+        // Permitir exportar el registro de la partida
+        if (this.recordActions) {
+            this.recordActions.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Calcula la puntuación de la partida actual
+     * @return {{points: number, stars: number}} - Puntos y estrellas (ver Score.js)
+     */
+    calculateScore() {
+        return calculateScore({
+            moves: this.moves,
+            par: this.par,
+            time: this.getElapsedSeconds(),
+            hints: this.hintsUsed,
+            undos: this.undoCount,
+            invalidMoves: this.invalidMoves
+        });
+    }
+    
+    /**
+     * Obtiene los segundos transcurridos, también en contrarreloj
+     * @return {number} - Segundos de partida
+     */
+    getElapsedSeconds() {
+        return Math.round(this.gameClock.elapsed) / 1000;
+    }
+    
+    /**
+     * Genera el registro de la partida actual
+     * @return {Object} - Registro de partida (ver GameRecord.js)
+     */
+    createGameRecord() {
+        return createGameRecord({
+            disks: this.numDisks,
+            pegs: this.numPegs,
+            mode: this.gameMode,
+            seed: this.seed,
+            timeBudget: this.gameMode === 'contrarreloj' ? this.gameSettings.timeBudget : null,
+            start: this.startState,
+            goal: this.goal,
+            moves: this.history.moves,
+            result: {
+                outcome: this.outcome,
+                moves: this.moves,
+                time: this.getElapsedSeconds()
+            },
+            date: this.startDate
+        });
+    }
+    
+    /**
+     * Descarga el registro de la partida actual
+     * @param {string} format - 'json' o 'text' (notación compacta)
+     */
+    exportGameRecord(format = 'json') {
+        const record = this.createGameRecord();
+        const baseName = `hanoi-${record.disks}discos-${record.date.slice(0, 10)}`;
+        
+        if (format === 'text') {
+            downloadFile(`${baseName}.txt`, recordToNotation(record), 'text/plain');
+        } else {
+            downloadFile(`${baseName}.json`, JSON.stringify(record, null, 2), 'application/json');
+        }
+    }
+    
+    /**
+     * Lee un archivo de registro y carga la partida
+     * @param {File} file - Archivo JSON o de texto
+     */
+    importGameRecord(file) {
+        file.text()
+            .then(text => this.loadGameRecord(parseGameRecord(text)))
+            .catch(error => {
+                console.error('Error al importar la partida:', error);
+                this.gameStatus.textContent = `No se pudo importar la partida: ${error.message}`;
+                this.playErrorSound();
+            });
+    }
+    
+    /**
+     * Carga una partida registrada y la deja en su posición final
+     * @param {Object} record - Registro validado
+     */
+    loadGameRecord(record) {
+        this.level = null;
+        
+        // Configurar discos, torres y modo como en la partida registrada
+        this.numDisks = record.disks;
+        this.difficultySelect.value = String(record.disks);
+        
+        if (record.pegs !== this.numPegs) {
+            this.numPegs = record.pegs;
+            if (this.pegsSelect) {
+                this.pegsSelect.value = String(record.pegs);
+            }
+            this.createTowers();
+        }
+        
+        // Un reto diario importado se juega como puzzle desde su distribución inicial
+        // y un nivel de campaña como partida normal
+        const mode = record.mode === 'diario' ? 'puzzle' : record.mode === 'campana' ? 'normal' : record.mode;
+        const modeExists = this.gameModeSelect &&
+            [...this.gameModeSelect.options].some(option => option.value === mode);
+        this.gameMode = modeExists ? mode : 'normal';
+        if (this.gameModeSelect) {
+            this.gameModeSelect.value = this.gameMode;
+        }
+        
+        const startState = new HanoiState(record.start, record.variant);
+        if (this.variantSelect) {
+            this.variantSelect.value = startState.variant;
+        }
+        
+        // La contrarreloj se repite con el tiempo disponible de la partida registrada
+        if (this.gameMode === 'contrarreloj' && record.timeBudget) {
+            this.setTimeBudget(record.timeBudget);
+        }
+        
+        this.resetGame(startState, record.seed, getRecordGoal(record));
+        this.restoreRecordProgress(record);
+        
+        // Permitir exportar o repetir la partida importada
+        if (this.recordActions) {
+            this.recordActions.classList.remove('hidden');
+        }
+        
+        this.updateUI();
+        this.gameStatus.textContent = `Partida importada: ${record.moves.length} movimientos (${this.outcome})`;
+    }
+    
+    /**
+     * Aplica los movimientos, el tiempo y el resultado de un registro a la partida recién preparada
+     * @param {Object} record - Registro validado con la misma distribución inicial
+     */
+    restoreRecordProgress(record) {
+        // Reproducir los movimientos sobre el estado y reconstruir el historial
+        record.moves.forEach(({ from, to, t }) => {
+            const move = this.state.move(from, to);
+            this.history.push({ ...move, t });
+            this.splits = addSplits(this.splits, this.splitsFrom, countPlacedDisks(this.state, this.goal), t || 0);
+        });
+        this.renderState();
+        this.updateSplitsPanel();
+        
+        const result = record.result || { outcome: 'en-curso', moves: record.moves.length, time: 0 };
+        this.moves = result.moves;
+        this.timer = this.isCountdown() ? Math.max(0, this.timeLimit - result.time) : result.time;
+        this.startDate = new Date(record.date);
+        this.outcome = result.outcome;
+        
+        // Si la cuenta atrás está en marcha, continúa desde el tiempo registrado
+        this.gameClock.reset(result.time * 1000);
+        
+        if (result.outcome !== 'en-curso') {
+            this.isGameOver = true;
+            this.stopTimer();
+        }
+    }
+    
+    /**
+     * Configura los botones del panel del editor de niveles
+     */
+    setupEditorControls() {
+        if (!this.editorPanel) return;
+        
+        const buttons = {
+            '#editor-start-btn': () => this.switchEditorTarget('start'),
+            '#editor-goal-btn': () => this.switchEditorTarget('goal'),
+            '#editor-validate-btn': () => this.validateEditorLevel(),
+            '#editor-save-btn': () => this.saveEditorLevel(),
+            '#editor-play-btn': () => this.playEditorLevel(),
+            '#editor-exit-btn': () => this.closeEditor()
+        };
+        Object.entries(buttons).forEach(([selector, handler]) => {
+            this.editorPanel.querySelector(selector).addEventListener('click', handler);
+        });
+    }
+    
+    /**
+     * Abre el editor de niveles con los discos, torres y variante seleccionados.
+     * Parte de la distribución inicial y el objetivo de la partida actual.
+     */
+    openEditor() {
+        if (this.isEditing) return;
+        
+        this.resetGame();
+        
+        // El editor no usa temporizador
+        this.stopTimer();
+        this.timeLimit = 0;
+        this.timer = 0;
+        
+        // Se edita con las reglas clásicas para poder llevar cada disco a cualquier torre;
+        // la regla de tamaños se mantiene porque todas las variantes la exigen
+        this.isEditing = true;
+        this.editorLayouts = {
+            start: new HanoiState(this.startState.pegs),
+            goal: new HanoiState(this.goal.pegs)
+        };
+        this.editorTarget = 'start';
+        this.state = this.editorLayouts.start.clone();
+        this.renderState(false);
+        this.updateEditorPreview();
+        this.updateSplitsPanel();
+        
+        // Los selectores quedan fijos mientras se edita
+        [this.difficultySelect, this.pegsSelect, this.gameModeSelect, this.variantSelect, this.goalSelect, this.timeBudgetSelect]
+            .filter(Boolean)
+            .forEach(select => {
+                select.disabled = true;
+            });
+        
+        this.editorPanel.classList.remove('hidden');
+        this.updateEditorButtons();
+        this.updateUI();
+        this.gameStatus.textContent = 'Editor: coloca los discos de la distribución inicial';
+    }
+    
+    /**
+     * Cambia entre editar la distribución inicial y la objetivo
+     * @param {string} target - 'start' o 'goal'
+     */
+    switchEditorTarget(target) {
+        if (!this.isEditing || this.draggingDisk || target === this.editorTarget) return;
+        
+        this.editorLayouts[this.editorTarget] = this.state.clone();
+        this.editorTarget = target;
+        this.state = this.editorLayouts[target].clone();
+        this.renderState();
+        this.updateEditorPreview();
+        this.updateEditorButtons();
+        
+        this.gameStatus.textContent = target === 'start'
+            ? 'Editor: coloca los discos de la distribución inicial'
+            : 'Editor: coloca los discos de la distribución objetivo';
+    }
+    
+    /**
+     * Muestra en la vista previa la distribución que no se está editando
+     */
+    updateEditorPreview() {
+        const other = this.editorTarget === 'start' ? this.editorLayouts.goal : this.editorLayouts.start;
+        const boardHalfWidth = (this.numPegs - 1) / 2 * this.towerSpacing + 4;
+        this.goalPreview.show(other, this.towers.map(tower => tower.position.x), boardHalfWidth);
+        this.fitCameraToTowers();
+    }
+    
+    /**
+     * Marca el botón de la distribución que se está editando
+     */
+    updateEditorButtons() {
+        this.editorPanel.querySelector('#editor-start-btn').classList.toggle('selected', this.editorTarget === 'start');
+        this.editorPanel.querySelector('#editor-goal-btn').classList.toggle('selected', this.editorTarget === 'goal');
+    }
+    
+    /**
+     * Construye y valida el nivel con las distribuciones del editor
+     * @return {Object|null} - Nivel válido o null si no lo es (el motivo se muestra en el estado)
+     */
+    buildEditorLevel() {
+        this.editorLayouts[this.editorTarget] = this.state.clone();
+        
+        try {
+            const nameInput = this.editorPanel.querySelector('#level-name-input');
+            return createLevel({
+                name: nameInput ? nameInput.value.trim() : '',
+                start: this.editorLayouts.start,
+                goal: this.editorLayouts.goal,
+                variant: this.variant
+            });
+        } catch (error) {
+            this.gameStatus.textContent = `Nivel no válido: ${error.message}`;
+            this.playErrorSound();
+            return null;
+        }
+    }
+    
+    /**
+     * Comprueba que el objetivo sea alcanzable e informa del par
+     */
+    validateEditorLevel() {
+        const level = this.buildEditorLevel();
+        if (level) {
+            this.gameStatus.textContent = `Nivel válido: se resuelve en un mínimo de ${level.par} movimientos`;
+        }
+    }
+    
+    /**
+     * Descarga el nivel en formato JSON
+     */
+    saveEditorLevel() {
+        const level = this.buildEditorLevel();
+        if (!level) return;
+        
+        const fileName = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'nivel';
+        downloadFile(`hanoi-${fileName}.json`, JSON.stringify(level, null, 2), 'application/json');
+        this.gameStatus.textContent = `Nivel guardado (par ${level.par})`;
+    }
+    
+    /**
+     * Sale del editor y juega el nivel editado
+     */
+    playEditorLevel() {
+        const level = this.buildEditorLevel();
+        if (!level) return;
+        
+        this.closeEditor(level);
+    }
+    
+    /**
+     * Cierra el editor de niveles
+     * @param {Object|null} level - Nivel a jugar a continuación; si es null se vuelve a una partida normal
+     */
+    closeEditor(level = null) {
+        if (!this.isEditing) return;
+        
+        if (level) {
+            this.loadLevel(level);
+        } else {
+            this.resetGame();
+        }
+    }
+    
+    /**
+     * Oculta el panel del editor y libera los selectores (toda partida nueva sale del editor)
+     */
+    hideEditor() {
+        if (!this.isEditing) return;
+        
+        this.isEditing = false;
+        this.editorLayouts = null;
+        this.editorPanel.classList.add('hidden');
+        [this.difficultySelect, this.pegsSelect, this.gameModeSelect, this.variantSelect, this.goalSelect, this.timeBudgetSelect]
+            .filter(Boolean)
+            .forEach(select => {
+                select.disabled = false;
+            });
+    }
+    
+    /**
+     * Lee un archivo de nivel y empieza a jugarlo
+     * @param {File} file - Archivo JSON del nivel
+     */
+    importLevel(file) {
+        file.text()
+            .then(text => this.loadLevel(parseLevel(text)))
+            .catch(error => {
+                console.error('Error al cargar el nivel:', error);
+                this.gameStatus.textContent = `No se pudo cargar el nivel: ${error.message}`;
+                this.playErrorSound();
+            });
+    }
+    
+    /**
+     * Empieza una partida con un nivel: discos, torres, variante, inicio y objetivo
+     * @param {Object} level - Nivel validado
+     */
+    loadLevel(level) {
+        this.level = level;
+        this.numDisks = level.disks;
+        this.difficultySelect.value = String(level.disks);
+        
+        if (level.pegs !== this.numPegs) {
+            this.numPegs = level.pegs;
+            if (this.pegsSelect) {
+                this.pegsSelect.value = String(level.pegs);
+            }
+            this.createTowers();
+        }
+        
+        // Los niveles se juegan en modo normal con su propia variante
+        this.gameMode = 'normal';
+        if (this.gameModeSelect) {
+            this.gameModeSelect.value = 'normal';
+        }
+        if (this.variantSelect) {
+            this.variantSelect.value = level.variant;
+        }
+        
+        this.resetGame();
+        this.gameStatus.textContent = `Nivel "${level.name}": ¡lleva los discos a ${this.describeGoal()}! (par ${this.par})`;
+    }
+    
+    /**
+     * Muestra la solución al puzzle desde la posición actual de los discos
+     */
+    showSolution() {
+        if (this.isGameOver || this.isReplaying || this.isEditing || this.isPaused) return;
+        
+        // Detener cualquier solución en curso
+        if (this.solutionInterval) {
+            clearInterval(this.solutionInterval);
+            this.solutionInterval = null;
+        }
+        
+        // Generar los pasos óptimos desde el estado actual (sirve también para el modo puzzle)
+        const solutionSteps = solveFromState(this.state, this.goal);
+        this.gameStarted = true;
+        
+        // Mostrar mensaje
+        this.gameStatus.textContent = `Mostrando solución automática (${solutionSteps.length} pasos)`;
+        
+        let stepIndex = 0;
         const stepDelay = 1000; // 1 segundo entre movimientos
         
         // Ejecutar la solución paso a paso
         this.solutionInterval = setInterval(() => {
+            // En pausa la solución espera en el mismo paso
+            if (this.isPaused) return;
+            
             if (stepIndex >= solutionSteps.length) {
                 clearInterval(this.solutionInterval);
                 this.solutionInterval = null;
-                this.gameStatus.textContent = "¡Solución completada!";
+                this.finishSolution();
                 return;
             }
             
@@ -864,164 +2487,615 @@ export class Game { // Exportar la clase
     }
     
     /**
-     * Reinicia el juego para la solución automática
+     * Sugiere el siguiente movimiento óptimo resaltando el disco y la torre destino
+     */
+    showHint() {
+        if (this.isGameOver || this.isReplaying || this.isEditing || this.isPaused ||
+            this.draggingDisk || this.solutionInterval) return;
+        
+        const [nextStep] = solveFromState(this.state, this.goal);
+        if (!nextStep) return;
+        
+        this.clearHint();
+        
+        const disk = this.towers[nextStep.fromTower].getTopDisk();
+        const targetTower = this.towers[nextStep.toTower];
+        disk.select();
+        targetTower.highlight(true);
+        this.hintTarget = { disk, tower: targetTower };
+        
+        // Cada pista cuenta para la puntuación
+        this.hintsUsed++;
+        this.gameStarted = true;
+        this.updateUI();
+        this.notifyAchievements({ type: 'hint' });
+        this.saveCurrentGame();
+        
+        this.gameStatus.textContent = `Pista: mueve el disco de la torre ${nextStep.fromTower + 1} a la torre ${nextStep.toTower + 1}`;
+        
+        // Quitar el resaltado pasados unos segundos
+        this.hintTimeout = setTimeout(() => this.clearHint(), 3000);
+    }
+    
+    /**
+     * Quita el resaltado de la pista activa
+     */
+    clearHint() {
+        if (this.hintTimeout) {
+            clearTimeout(this.hintTimeout);
+            this.hintTimeout = null;
+        }
+        
+        if (this.hintTarget) {
+            this.hintTarget.disk.deselect();
+            this.hintTarget.tower.highlight(false);
+            this.hintTarget = null;
+        }
+    }
+    
+    /**
+     * Termina la partida tras completar la solución automática (sin guardar puntuación,
+     * pero sí en las estadísticas, como resuelta)
+     */
+    finishSolution() {
+        this.stopTimer();
+        
+        this.logGame('resuelta');
+        this.isGameOver = true;
+        this.clearSavedGame();
+        this.gameStatus.textContent = "¡Solución completada!";
+        this.updateUI();
+    }
+    
+    /**
+     * Ejecuta un movimiento automático entre torres
+     * @param {number} fromTowerIndex - Índice de la torre origen
+     * @param {number} toTowerIndex - Índice de la torre destino
+     */
+    executeAutoMove(fromTowerIndex, toTowerIndex) {
+        if (this.state.isLegal(fromTowerIndex, toTowerIndex)) {
+            // Mover el disco en el estado y en la escena
+            this.moveDisk(fromTowerIndex, toTowerIndex);
+            
+            // Incrementar contador
+            this.moves++;
+            this.updateUI();
+            
+            // Reproducir sonido
+            this.playMoveSound();
+        }
+    }
+    
+    /**
+     * Configura los controles del reproductor de partidas
+     */
+    setupReplayControls() {
+        if (!this.replayControls) return;
+        
+        const bind = (selector, action) => {
+            const element = this.replayControls.querySelector(selector);
+            if (element) {
+                element.addEventListener('click', () => {
+                    if (this.replayPlayer) action(this.replayPlayer);
+                });
+            }
+        };
+        
+        bind('#replay-play-btn', player => player.togglePlay());
+        bind('#replay-back-btn', player => {
+            player.pause();
+            player.stepBackward();
+        });
+        bind('#replay-forward-btn', player => {
+            player.pause();
+            player.stepForward();
+        });
+        bind('#replay-exit-btn', () => this.stopReplay());
+        
+        const speedSelect = this.replayControls.querySelector('#replay-speed-select');
+        speedSelect.addEventListener('change', () => {
+            if (this.replayPlayer) this.replayPlayer.setSpeed(parseFloat(speedSelect.value));
+        });
+        
+        // La línea de tiempo se puede arrastrar para saltar a cualquier movimiento
+        const timeline = this.replayControls.querySelector('#replay-timeline');
+        timeline.addEventListener('input', () => {
+            if (this.replayPlayer) {
+                this.replayPlayer.pause();
+                this.replayPlayer.seek(parseInt(timeline.value));
+            }
+        });
+    }
+    
+    /**
+     * Inicia la repetición de una partida registrada
+     * @param {Object} record - Registro de partida
+     */
+    startReplay(record) {
+        this.stopReplay();
+        this.clearHint();
+        
+        // Detener temporizadores y solución mientras dura la repetición
+        this.stopTimer();
+        if (this.solutionInterval) {
+            clearInterval(this.solutionInterval);
+            this.solutionInterval = null;
+        }
+        
+        this.isReplaying = true;
+        this.replayReturnState = this.state.clone();
+        this.updateSplitsPanel();
+        const startState = new HanoiState(record.start, record.variant);
+        
+        this.replayPlayer = new ReplayPlayer(record, {
+            onStep: (move, forward) => {
+                if (forward) {
+                    this.moveDisk(move.from, move.to, false);
+                } else {
+                    this.unmoveDisk(move);
+                }
+                this.playMoveSound();
+            },
+            onSeek: (index) => {
+                this.state = startState.clone();
+                record.moves.slice(0, index).forEach(({ from, to }) => this.state.move(from, to));
+                this.renderState(false);
+            },
+            onChange: () => this.updateReplayControls()
+        });
+        
+        const speedSelect = this.replayControls.querySelector('#replay-speed-select');
+        this.replayPlayer.setSpeed(parseFloat(speedSelect.value));
+        this.replayPlayer.seek(0);
+        
+        this.replayControls.classList.remove('hidden');
+        this.gameStatus.textContent = `Repetición: ${record.moves.length} movimientos`;
+    }
+    
+    /**
+     * Termina la repetición y devuelve el tablero a la posición de la partida
+     */
+    stopReplay() {
+        if (!this.isReplaying) return;
+        
+        this.replayPlayer.stop();
+        this.replayPlayer = null;
+        this.isReplaying = false;
+        
+        this.state = this.replayReturnState;
+        this.replayReturnState = null;
+        this.renderState(false);
+        
+        this.replayControls.classList.add('hidden');
+        this.gameStatus.textContent = this.isGameOver ? 'Partida terminada' : '¡Sigue jugando!';
+        this.updateUI();
+        this.updateSplitsPanel();
+        
+        // En contrarreloj la cuenta atrás se reanuda; en otros modos, al mover un disco
+        if (!this.isGameOver && this.isCountdown()) {
+            this.startCountdown();
+        }
+    }
+    
+    /**
+     * Actualiza botones, línea de tiempo y contador del reproductor
+     */
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        const timeline = this.replayControls.querySelector('#replay-timeline');
+        timeline.max = String(player.length);
+        timeline.value = String(player.index);
+        
+        this.replayControls.querySelector('#replay-play-btn').textContent = player.isPlaying ? '⏸' : '▶';
+        this.replayControls.querySelector('#replay-position').textContent = `${player.index}/${player.length}`;
+    }
+    
+    /**
+     * Indica si la partida se puede pausar
+     * @return {boolean} - true si hay una partida en juego sin pausar
+     */
+    canPause() {
+        return !this.isPaused && !this.isGameOver && !this.isReplaying && !this.isEditing;
+    }
+    
+    /**
+     * Pausa la partida: congela el temporizador, la solución automática y la entrada,
+     * y tapa el tablero
+     */
+    pauseGame() {
+        if (!this.canPause()) return;
+        
+        this.isPaused = true;
+        this.cancelDrag();
+        
+        // El cronómetro se detiene y al continuar sigue desde el mismo instante
+        this.pausedTimer = this.gameClock.isRunning;
+        this.stopTimer();
+        
+        this.pausedStatus = this.gameStatus.textContent;
+        this.gameStatus.textContent = 'Partida en pausa';
+        this.updatePauseControls();
+    }
+    
+    /**
+     * Continúa la partida pausada
+     */
+    continueGame() {
+        if (!this.isPaused) return;
+        
+        const restartTimer = this.pausedTimer;
+        this.clearPause();
+        if (restartTimer) {
+            if (this.isCountdown()) {
+                this.startCountdown();
+            } else {
+                this.startTimer();
+            }
+        }
+        this.gameStatus.textContent = this.pausedStatus;
+    }
+    
+    /**
+     * Pausa o continúa la partida
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.continueGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+    
+    /**
+     * Pausa sola al ocultar la pestaña o salir de la ventana, si hay algo en marcha
+     */
+    autoPause() {
+        if (this.gameClock.isRunning || this.solutionInterval) {
+            this.pauseGame();
+        }
+    }
+    
+    /**
+     * Sale de la pausa sin reanudar el temporizador (al empezar otra partida)
+     */
+    clearPause() {
+        this.isPaused = false;
+        this.pausedTimer = false;
+        this.updatePauseControls();
+    }
+    
+    /**
+     * Muestra u oculta la pantalla de pausa y actualiza el botón
+     */
+    updatePauseControls() {
+        if (this.pauseOverlay) {
+            this.pauseOverlay.classList.toggle('hidden', !this.isPaused);
+        }
+        if (this.pauseButton) {
+            this.pauseButton.textContent = this.isPaused ? 'Continuar' : 'Pausa';
+        }
+    }
+    
+    /**
+     * Devuelve a su torre el disco que se estaba arrastrando, sin moverlo
+     */
+    cancelDrag() {
+        if (!this.draggingDisk) return;
+        
+        const sourceTower = this.draggingDisk.currentTower;
+        this.draggingDisk.updatePosition(
+            sourceTower.position.x,
+            this.draggingDisk.originalPosition.y,
+            sourceTower.position.z,
+            true
+        );
+        this.draggingDisk.endDrag();
+        this.draggingDisk.deselect();
+        this.draggingDisk = null;
+    }
+    
+    /**
+     * Inicia el temporizador (el ciclo de animación lo refresca)
+     */
+    startTimer() {
+        this.gameClock.start();
+    }
+    
+    /**
+     * Detiene el temporizador y el cronómetro de la partida
+     */
+    stopTimer() {
+        this.gameClock.stop();
+    }
+    
+    /**
+     * Refresca el temporizador en cada fotograma mientras el cronómetro está en marcha;
+     * en la cuenta atrás también suena el tic de los últimos segundos y se acaba la partida al llegar a cero
+     */
+    updateTimer() {
+        if (!this.gameClock.isRunning) return;
+        
+        this.syncTimer();
+        this.updateTimerDisplay();
+        if (!this.isCountdown()) return;
+        
+        // Reproducir sonido de tick en cada uno de los últimos 10 segundos
+        const second = Math.ceil(this.timer);
+        if (second !== this.lastTickSecond && second <= 10 && second > 0) {
+            this.timeTick.play();
+        }
+        this.lastTickSecond = second;
+        
+        // Verificar si se acabó el tiempo
+        if (this.timer <= 0) {
+            this.stopTimer();
+            this.gameOver(false); // Perdió por tiempo
+        }
+    }
+    
+    /**
+     * Calcula el tiempo que muestra el temporizador a partir del cronómetro
+     */
+    syncTimer() {
+        const elapsed = this.getElapsedSeconds();
+        this.timer = this.isCountdown() ? Math.max(0, this.timeLimit + this.timeAdjustment - elapsed) : elapsed;
+    }
+    
+    /**
+     * Actualiza el temporizador (con centésimas)
+     */
+    updateTimerDisplay() {
+        // En contrarreloj mostramos tiempo restante; en otros modos, tiempo transcurrido
+        this.timerDisplay.textContent = formatPreciseTime(this.timer);
+        
+        // Cambiar color cuando queda poco tiempo
+        this.timerDisplay.classList.toggle('time-warning', this.isCountdown() && this.timer <= 10);
+    }
+    
+    /**
+     * Actualiza los elementos de la interfaz
+     */
+    updateUI() {
+        // Actualizar contador de movimientos
+        this.movesCounter.textContent = this.moves.toString();
+        
+        // Actualizar temporizador
+        this.updateTimerDisplay();
+        
+        // Mostrar la racha de retos diarios
+        if (this.dailyInfo && this.dailyChallenge) {
+            this.dailyInfo.querySelector('span').textContent =
+                getCurrentStreak(this.loadDailyData(), this.dailyChallenge.date).toString();
+        }
+        
+        // Mostrar la semilla para poder compartir el tablero
+        if (this.seedDisplay) {
+            this.seedDisplay.textContent = this.seed === null ? '--' : String(this.seed);
+        }
+        
+        // Actualizar contador de pistas
+        if (this.hintsCounter) {
+            this.hintsCounter.textContent = this.hintsUsed.toString();
+        }
+        
+        // Activar o desactivar los botones del historial
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.history.canUndo();
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !this.history.canRedo();
+        }
+        
+        // Mostrar el par y, en puzzle, la dificultad
+        if (this.parDisplay) {
+            const rating = this.puzzleRating ? ` (${this.puzzleRating.label})` : '';
+            this.parDisplay.textContent = `${this.par}${rating}`;
+        }
+        
+        // Actualizar mejor puntuación si existe el elemento
+        // (el primero de la clasificación de la configuración actual)
+        const bestScoreElement = document.querySelector('#best-score span');
+        const bestScore = (this.leaderboards[this.getLeaderboardKey()] || [])[0];
+        if (bestScoreElement && bestScore) {
+            bestScoreElement.textContent = `${bestScore.score} puntos (${bestScore.moves} movimientos en ${formatPreciseTime(bestScore.time)})`;
+        } else if (bestScoreElement) {
+            bestScoreElement.textContent = '--';
+        }
+    }
+    
+    /**
+     * Clave de la clasificación de la partida actual
+     * @return {string} - Clave (discos × torres × modo × variante, y dificultad en puzzle)
+     */
+    getLeaderboardKey() {
+        return getLeaderboardKey({
+            disks: this.numDisks,
+            pegs: this.numPegs,
+            mode: this.gameMode,
+            variant: this.variant,
+            rating: this.puzzleRating ? this.puzzleRating.id : this.getTimeBudgetRating()
+        });
+    }
+    
+    /**
+     * Cambia el ritmo de contrarreloj de las próximas partidas y lo guarda en los ajustes
+     * @param {string} budget - Identificador del ritmo (ver TimeAttack.js)
+     */
+    setTimeBudget(budget) {
+        this.gameSettings.timeBudget = budget;
+        this.saveGameSettings();
+        if (this.timeBudgetSelect) {
+            this.timeBudgetSelect.value = budget;
+        }
+    }
+    
+    /**
+     * Ritmo de contrarreloj que separa las clasificaciones (el normal no, por compatibilidad)
+     * @return {string|null} - Identificador del ritmo, o null
+     */
+    getTimeBudgetRating() {
+        const budget = this.gameSettings.timeBudget;
+        return this.gameMode === 'contrarreloj' && budget !== DEFAULT_TIME_BUDGET ? budget : null;
+    }
+    
+    /**
+     * Carga las clasificaciones del almacenamiento local
+     * @return {Object} - Clasificaciones indexadas por clave
      */
-    resetForSolution() {
-        // Detener temporizador si está activo
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        
-        // Limpiar discos existentes
-        this.clearDisks();
-        
-        // Reiniciar contadores
-        this.moves = 0;
-        this.timer = 0;
-        this.isGameOver = false;
-        this.updateUI();
-        
-        // Crear nuevos discos en la torre inicial
-        this.createDisks();
+    loadLeaderboards() {
+        return loadData('leaderboards', {});
     }
     
     /**
-     * Genera recursivamente los pasos para resolver la Torre de Hanoi
-     * @param {number} n - Número de discos a mover
-     * @param {number} fromTower - Índice de la torre origen
-     * @param {number} toTower - Índice de la torre destino
-     * @param {number} auxTower - Índice de la torre auxiliar
-     * @param {Array} steps - Array donde se almacenarán los pasos
+     * Guarda la partida ganada en la clasificación de su configuración
+     * @return {number} - Puesto conseguido (desde 1; 0 si no entra)
      */
-    generateHanoiSolution(n, fromTower, toTower, auxTower, steps) {
-        if (n === 1) {
-            // Caso base: mover un disco directamente
-            steps.push({ fromTower, toTower });
-            return;
-        }
+    saveBestScore() {
+        // Según la política de deshacer, las partidas con deshacer pueden no contar
+        const policy = UNDO_POLICIES[this.gameSettings.undoPolicy] || UNDO_POLICIES.penalizado;
+        if (policy.blocksBestScore && this.undoCount > 0) return 0;
         
-        // Mover n-1 discos de la torre origen a la auxiliar
-        this.generateHanoiSolution(n - 1, fromTower, auxTower, toTower, steps);
+        // Los niveles del editor y de la campaña no cuentan para los récords
+        if (this.level) return 0;
         
-        // Mover el disco restante de la torre origen a la destino
-        steps.push({ fromTower, toTower });
+        const entry = {
+            name: this.gameSettings.playerName,
+            score: this.score.points,
+            stars: this.score.stars,
+            moves: this.moves,
+            par: this.par,
+            time: this.getElapsedSeconds(),
+            hints: this.hintsUsed,
+            undos: this.undoCount,
+            invalidMoves: this.invalidMoves,
+            date: new Date().toISOString()
+        };
+        if (this.timeScore !== null) {
+            entry.timeLeft = Math.round(this.timer * 1000) / 1000;
+            entry.timeScore = this.timeScore;
+        }
+        const { boards, rank } = addLeaderboardEntry(this.leaderboards, this.getLeaderboardKey(), entry);
         
-        // Mover n-1 discos de la torre auxiliar a la destino
-        this.generateHanoiSolution(n - 1, auxTower, toTower, fromTower, steps);
+        if (rank > 0) {
+            this.leaderboards = boards;
+            saveData('leaderboards', this.leaderboards);
+            this.updateUI();
+        }
+        return rank;
     }
     
     /**
-     * Ejecuta un movimiento automático entre torres
-     * @param {number} fromTowerIndex - Índice de la torre origen
-     * @param {number} toTowerIndex - Índice de la torre destino
+     * Muestra la tabla de una clasificación
+     * @param {string} key - Clave de la clasificación (por defecto, la configuración actual)
      */
-    executeAutoMove(fromTowerIndex, toTowerIndex) {
-        const fromTower = this.towers[fromTowerIndex];
-        const toTower = this.towers[toTowerIndex];
-        
-        // Obtener disco superior de la torre origen
-        const disk = fromTower.getTopDisk();
-        
-        if (disk && toTower.canAddDisk(disk)) {
-            // Quitar disco de la torre origen
-            fromTower.removeDisk();
-            
-            // Añadir disco a la torre destino
-            toTower.addDisk(disk);
-            
-            // Incrementar contador
-            this.moves++;
-            this.updateUI();
-            
-            // Reproducir sonido
-            this.playMoveSound();
-        }
+    openLeaderboard(key = this.getLeaderboardKey()) {
+        // Selector con todas las clasificaciones guardadas y la actual
+        const select = document.querySelector('#leaderboard-select');
+        const keys = [...new Set([key, ...Object.keys(this.leaderboards)])].sort();
+        select.innerHTML = keys.map(option =>
+            `<option value="${escapeHtml(option)}"${option === key ? ' selected' : ''}>${escapeHtml(describeLeaderboardKey(option))}</option>`
+        ).join('');
+        
+        document.querySelector('#player-name-input').value = this.gameSettings.playerName;
+        
+        const entries = this.leaderboards[key] || [];
+        const rows = entries.map((entry, index) =>
+            `<tr><td>${index + 1}</td><td>${escapeHtml(entry.name)}</td><td>${escapeHtml(entry.score)} ${this.formatStars(entry.stars)}</td>` +
+            `<td>${escapeHtml(entry.moves)} (par ${escapeHtml(entry.par)})</td>` +
+            `<td>${formatPreciseTime(entry.time)}${entry.timeLeft !== undefined ? ` (sobran ${formatPreciseTime(entry.timeLeft)})` : ''}</td>` +
+            `<td>${escapeHtml(entry.hints)}</td>` +
+            `<td>${escapeHtml(new Date(entry.date).toLocaleDateString())}</td></tr>`
+        );
+        document.querySelector('#leaderboard-table tbody').innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="7">Todavía no hay partidas en esta clasificación</td></tr>';
+        
+        document.getElementById('leaderboard-overlay').classList.remove('hidden');
     }
     
     /**
-     * Inicia el temporizador
+     * Clave de las mejores marcas de parciales (la de la clasificación)
+     * @return {string|null} - Clave, o null en los niveles, que no tienen marcas
      */
-    startTimer() {
-        this.timerInterval = setInterval(() => {
-            this.timer++;
-            this.updateUI();
-        }, 1000);
+    getSplitsKey() {
+        return this.level ? null : this.getLeaderboardKey();
     }
     
     /**
-     * Actualiza los elementos de la interfaz
+     * Carga las mejores marcas de parciales
+     * @return {Object} - Mejores marcas por clave ({time, splits, date})
      */
-    updateUI() {
-        // Actualizar contador de movimientos
-        this.movesCounter.textContent = this.moves.toString();
-        
-        // Actualizar temporizador
-        if (this.gameMode === 'contrarreloj') {
-            // En contrarreloj mostramos tiempo restante
-            this.timerDisplay.textContent = formatTime(this.timer);
-            
-            // Cambiar color cuando queda poco tiempo
-            if (this.timer <= 10) {
-                this.timerDisplay.classList.add('time-warning');
-            } else {
-                this.timerDisplay.classList.remove('time-warning');
-            }
-        } else {
-            // En otros modos mostramos tiempo transcurrido
-            this.timerDisplay.textContent = formatTime(this.timer);
-        }
-        
-        // Actualizar mejor puntuación si existe el elemento
-        const bestScoreElement = document.querySelector('#best-score span');
-        if (bestScoreElement && this.bestScore) {
-            bestScoreElement.textContent = `${this.bestScore.moves} movimientos en ${formatTime(this.bestScore.time)}`;
+    loadBestSplits() {
+        return loadData('splits', {});
+    }
+    
+    /**
+     * Registra los parciales alcanzados tras un movimiento
+     * @param {number} time - Milisegundos de partida
+     */
+    updateSplits(time) {
+        const splits = addSplits(this.splits, this.splitsFrom, countPlacedDisks(this.state, this.goal), time);
+        if (splits !== this.splits) {
+            this.splits = splits;
+            this.updateSplitsPanel();
         }
     }
     
     /**
-     * Carga la mejor puntuación del almacenamiento local
-     * @return {Object|null} - Mejor puntuación o null
+     * Guarda los parciales de la victoria si mejoran el tiempo de la configuración
+     * @return {boolean} - true si es el mejor tiempo
      */
-    loadBestScore() {
-        try {
-            const scoreData = localStorage.getItem('hanoiBestScore');
-            if (scoreData) {
-                return JSON.parse(scoreData);
-            }
-        } catch (e) {
-            console.error('Error al cargar la mejor puntuación:', e);
+    saveBestSplits() {
+        const key = this.getSplitsKey();
+        if (!key || this.splits.length === 0) return false;
+        
+        // Como en la clasificación, la política de deshacer puede dejar la partida fuera
+        const policy = UNDO_POLICIES[this.gameSettings.undoPolicy] || UNDO_POLICIES.penalizado;
+        if (policy.blocksBestScore && this.undoCount > 0) return false;
+        
+        const { bests, improved } = updateBestSplits(this.bestSplits, key, {
+            time: this.getElapsedSeconds(),
+            splits: this.splits
+        });
+        if (improved) {
+            this.bestSplits = bests;
+            saveData('splits', this.bestSplits);
         }
-        return null;
+        return improved;
     }
     
     /**
-     * Guarda la mejor puntuación en el almacenamiento local
+     * Muestra los parciales de la partida frente a los del mejor tiempo
      */
-    saveBestScore() {
-        if (this.gameMode !== 'normal') return; // Solo guardar en modo normal
+    updateSplitsPanel() {
+        if (!this.splitsPanel) return;
         
-        const currentScore = {
-            disks: this.numDisks,
-            moves: this.moves,
-            time: this.timer
-        };
+        const key = this.getSplitsKey();
+        const best = key ? this.bestSplits[key] || null : null;
         
-        // Comprobar si es la mejor puntuación
-        if (!this.bestScore || 
-            this.bestScore.disks < this.numDisks || 
-            (this.bestScore.disks === this.numDisks && 
-             (this.bestScore.moves > this.moves || 
-              (this.bestScore.moves === this.moves && this.bestScore.time > this.timer)))) {
+        const rows = [];
+        for (let disks = this.splitsFrom + 1; disks <= this.numDisks; disks++) {
+            const label = `${disks} ${disks === 1 ? 'disco' : 'discos'}`;
+            const split = this.splits.find(item => item.disks === disks);
             
-            this.bestScore = currentScore;
-            
-            try {
-                localStorage.setItem('hanoiBestScore', JSON.stringify(this.bestScore));
-            } catch (e) {
-                console.error('Error al guardar la mejor puntuación:', e);
+            if (split) {
+                const delta = getSplitDelta(split, best);
+                const deltaCell = delta === null
+                    ? ''
+                    : `<span class="${delta <= 0 ? 'split-ahead' : 'split-behind'}">${formatSplitDelta(delta)}</span>`;
+                rows.push(`<tr><td>${label}</td><td>${formatPreciseTime(split.time / 1000)}</td><td>${deltaCell}</td></tr>`);
+            } else {
+                // Parcial pendiente: se muestra el del mejor tiempo como referencia
+                const bestSplit = best && best.splits.find(item => item.disks === disks);
+                const bestTime = bestSplit ? formatPreciseTime(bestSplit.time / 1000) : '--';
+                rows.push(`<tr class="split-pending"><td>${label}</td><td>${bestTime}</td><td></td></tr>`);
             }
         }
+        
+        this.splitsPanel.querySelector('tbody').innerHTML = rows.join('');
+        this.splitsPanel.classList.toggle('hidden', rows.length === 0 || this.isEditing || this.isReplaying);
     }
     
     /**
@@ -1076,6 +3150,9 @@ export class Game { // Exportar la clase
         // Actualizar aspecto de la cámara
         this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
         this.camera.updateProjectionMatrix();
+        
+        // Reencuadrar las torres con el nuevo aspecto
+        this.fitCameraToTowers();
     }
     
     /**
@@ -1084,6 +3161,9 @@ export class Game { // Exportar la clase
     animate() {
         requestAnimationFrame(() => this.animate());
         
+        // Temporizador de la partida
+        this.updateTimer();
+        
         // Actualizar tiempo para animaciones
         const time = this.clock.getElapsedTime() * 1000;
         
@@ -1102,6 +3182,448 @@ export class Game { // Exportar la clase
         this.renderer.render(this.scene, this.camera);
     }
     
+    /**
+     * Indica si hay una partida empezada y sin terminar
+     * (se mira el historial y no el contador, que con deshacer libre puede volver a cero)
+     * @return {boolean} - true si se ha movido algún disco y la partida sigue en juego
+     */
+    hasActiveGame() {
+        const hasMoved = this.history.canUndo() || this.history.canRedo();
+        return !this.isGameOver && !this.isReplaying && !this.isEditing && hasMoved;
+    }
+    
+    /**
+     * Pide confirmación antes de descartar la partida en curso
+     * @return {boolean} - true si no hay partida activa o se acepta descartarla
+     */
+    confirmDiscardGame() {
+        return !this.hasActiveGame() || window.confirm('¿Descartar la partida en curso?');
+    }
+    
+    /**
+     * Guarda la partida en curso para poder reanudarla al volver a cargar la página
+     */
+    saveCurrentGame() {
+        if (!this.hasActiveGame()) return;
+        
+        // Una partida nueva sustituye a la que se ofrecía reanudar
+        this.discardSavedGame();
+        
+        const savedGame = {
+            record: this.createGameRecord(),
+            redoMoves: this.history.redoMoves,
+            undoCount: this.undoCount,
+            hintsUsed: this.hintsUsed,
+            invalidMoves: this.invalidMoves,
+            timeBudget: this.gameSettings.timeBudget,
+            timeAdjustment: this.timeAdjustment,
+            dailyDate: this.dailyChallenge ? this.dailyChallenge.date : null,
+            dailyScored: this.dailyScored,
+            campaignLevel: this.campaignLevel,
+            savedAt: new Date().toISOString()
+        };
+        
+        saveData('savedGame', savedGame);
+    }
+    
+    /**
+     * Carga la partida guardada
+     * @return {Object|null} - Partida guardada con su registro validado, o null
+     */
+    loadSavedGame() {
+        const savedGame = loadData('savedGame');
+        if (!savedGame) return null;
+        
+        try {
+            return { ...savedGame, record: validateGameRecord(savedGame.record) };
+        } catch (e) {
+            console.error('Error al cargar la partida guardada:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Borra la partida guardada
+     */
+    clearSavedGame() {
+        removeData('savedGame');
+    }
+    
+    /**
+     * Ofrece reanudar la partida guardada, si la hay
+     */
+    offerSavedGame() {
+        if (!this.pendingSavedGame || !this.resumePanel) return;
+        
+        const { record } = this.pendingSavedGame;
+        this.resumePanel.querySelector('#resume-info').textContent =
+            `${record.disks} discos, ${GAME_MODE_LABELS[record.mode] || record.mode}, ` +
+            `${record.result.moves} movimientos en ${formatTime(record.result.time)}`;
+        this.resumePanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Renuncia a la partida que se ofrecía reanudar y la registra como abandonada
+     */
+    discardSavedGame() {
+        if (!this.pendingSavedGame) return;
+        
+        const { record } = this.pendingSavedGame;
+        const start = new HanoiState(record.start, record.variant);
+        this.addToGameLog({
+            mode: record.mode,
+            variant: record.variant,
+            disks: record.disks,
+            pegs: record.pegs,
+            outcome: 'abandonada',
+            moves: record.result.moves,
+            par: calculatePar(start, getRecordGoal(record)),
+            time: record.result.time
+        });
+        this.hideSavedGameOffer();
+    }
+    
+    /**
+     * Oculta la oferta de reanudar y la olvida
+     */
+    hideSavedGameOffer() {
+        this.pendingSavedGame = null;
+        if (this.resumePanel) {
+            this.resumePanel.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Reanuda una partida guardada: posición, movimientos, tiempo, modo, semilla e historial
+     * @param {Object} savedGame - Partida guardada (ver saveCurrentGame)
+     */
+    resumeSavedGame(savedGame) {
+        if (!savedGame) return;
+        
+        const { record } = savedGame;
+        this.hideSavedGameOffer();
+        
+        // La contrarreloj continúa con el ritmo con el que empezó
+        if (record.mode === 'contrarreloj' && savedGame.timeBudget) {
+            this.setTimeBudget(savedGame.timeBudget);
+        }
+        
+        // El reto de hoy y los niveles de campaña se preparan igual que al guardarlos;
+        // cualquier otra partida se carga desde su registro
+        const isToday = record.mode === 'diario' && savedGame.dailyDate === getDateKey();
+        const level = savedGame.campaignLevel && this.campaignPacks[savedGame.campaignLevel.packIndex];
+        const isCampaign = record.mode === 'campana' && level &&
+            level.levels[savedGame.campaignLevel.levelIndex];
+        
+        if (isToday || isCampaign) {
+            this.level = null;
+            this.campaignLevel = isCampaign ? savedGame.campaignLevel : null;
+            this.gameMode = record.mode;
+            if (this.gameModeSelect) {
+                this.gameModeSelect.value = record.mode;
+            }
+            this.resetGame();
+            this.restoreRecordProgress(record);
+            
+            // El intento puntuable del reto diario sigue siéndolo
+            if (isToday) {
+                this.dailyAttemptStarted = true;
+                this.dailyScored = savedGame.dailyScored;
+            }
+        } else {
+            this.loadGameRecord(record);
+            if (this.recordActions) {
+                this.recordActions.classList.add('hidden');
+            }
+        }
+        
+        this.history.restoreRedoMoves(savedGame.redoMoves || []);
+        this.undoCount = savedGame.undoCount || 0;
+        this.hintsUsed = savedGame.hintsUsed || 0;
+        this.invalidMoves = savedGame.invalidMoves || 0;
+        if (this.isCountdown() && savedGame.timeAdjustment) {
+            this.timeAdjustment = savedGame.timeAdjustment;
+            this.syncTimer();
+        }
+        this.updateUI();
+        this.gameStatus.textContent = `Partida reanudada: ${this.moves} movimientos`;
+        
+        this.saveCurrentGame();
+    }
+    
+    /**
+     * Añade la partida actual al registro de estadísticas
+     * @param {string} outcome - 'victoria', 'derrota', 'abandonada' o 'resuelta'
+     */
+    logGame(outcome) {
+        this.addToGameLog({
+            mode: this.gameMode,
+            variant: this.variant,
+            disks: this.numDisks,
+            pegs: this.numPegs,
+            outcome,
+            moves: this.moves,
+            par: this.par,
+            time: this.getElapsedSeconds()
+        });
+    }
+    
+    /**
+     * Guarda una partida en el registro de estadísticas
+     * @param {Object} game - Datos de la partida (ver createGameLogEntry)
+     */
+    addToGameLog(game) {
+        this.gameLog = addGameLogEntry(this.gameLog, createGameLogEntry(game));
+        
+        saveData('statistics', this.gameLog);
+    }
+    
+    /**
+     * Registra como abandonada la partida en curso, si el jugador la llegó a empezar
+     * (aunque no haya movido ningún disco)
+     */
+    logAbandonedGame() {
+        const started = this.gameStarted || this.moves > 0;
+        if (this.isGameOver || this.isReplaying || this.isEditing || !started) return;
+        
+        this.logGame('abandonada');
+        // Evitar que la misma partida se registre dos veces
+        this.isGameOver = true;
+    }
+    
+    /**
+     * Carga el registro de partidas
+     * @return {Object[]} - Partidas, de la más antigua a la más reciente
+     */
+    loadGameLog() {
+        return loadData('statistics', []);
+    }
+    
+    /**
+     * Muestra el panel de estadísticas
+     */
+    openStatistics() {
+        const stats = summarizeStatistics(this.gameLog);
+        const percent = value => value === null ? '--' : `${Math.round(value * 100)}%`;
+        
+        document.querySelector('#stats-played').textContent = stats.played;
+        document.querySelector('#stats-wins').textContent = stats.wins;
+        document.querySelector('#stats-abandoned').textContent = stats.abandoned;
+        document.querySelector('#stats-solved').textContent = stats.solved;
+        document.querySelector('#stats-win-rate').textContent = percent(stats.played > 0 ? stats.winRate : null);
+        document.querySelector('#stats-efficiency').textContent = percent(stats.averageEfficiency);
+        document.querySelector('#stats-win-streak').textContent = stats.bestWinStreak;
+        document.querySelector('#stats-daily-streak').textContent = this.loadDailyData().bestStreak;
+        
+        const rows = Object.keys(stats.byMode).map(mode => {
+            const modeStats = stats.byMode[mode];
+            return `<tr><td>${escapeHtml(GAME_MODE_LABELS[mode] || mode)}</td><td>${modeStats.played}</td>` +
+                `<td>${modeStats.wins}</td><td>${percent(modeStats.winRate)}</td></tr>`;
+        });
+        document.querySelector('#stats-modes tbody').innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<tr><td colspan="4">Todavía no has terminado ninguna partida</td></tr>';
+        
+        document.getElementById('stats-overlay').classList.remove('hidden');
+        this.drawEfficiencyChart(stats.efficiencyTrend);
+    }
+    
+    /**
+     * Dibuja la evolución de la eficiencia media de las victorias
+     * @param {number[]} trend - Eficiencia media (0-1) tras cada victoria
+     */
+    drawEfficiencyChart(trend) {
+        const canvas = document.querySelector('#stats-chart');
+        if (!canvas) return;
+        
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 10;
+        context.clearRect(0, 0, width, height);
+        
+        // Líneas de referencia al 50% y al 100%
+        context.strokeStyle = '#ddd';
+        context.lineWidth = 1;
+        [0.5, 1].forEach(value => {
+            const y = height - padding - value * (height - 2 * padding);
+            context.beginPath();
+            context.moveTo(padding, y);
+            context.lineTo(width - padding, y);
+            context.stroke();
+        });
+        
+        if (trend.length < 2) {
+            context.fillStyle = '#999';
+            context.textAlign = 'center';
+            context.fillText('Gana al menos dos partidas para ver tu evolución', width / 2, height / 2);
+            return;
+        }
+        
+        context.strokeStyle = '#2196F3';
+        context.lineWidth = 2;
+        context.beginPath();
+        trend.forEach((value, index) => {
+            const x = padding + index / (trend.length - 1) * (width - 2 * padding);
+            const y = height - padding - value * (height - 2 * padding);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    }
+    
+    /**
+     * Crea el motor de logros con el progreso guardado y sus avisos
+     * @return {AchievementEngine} - Motor de logros
+     */
+    createAchievementEngine() {
+        const engine = new AchievementEngine(this.loadAchievements() || undefined);
+        engine.onUnlock(achievement => {
+            this.showToast(`${achievement.icon} Logro desbloqueado: ${achievement.name}`);
+        });
+        return engine;
+    }
+    
+    /**
+     * Pasa un evento de la partida al motor de logros y guarda el progreso
+     * @param {Object} event - Evento ({type, ...datos}, ver Achievements.js)
+     */
+    notifyAchievements(event) {
+        this.achievements.handle(event);
+        this.saveAchievements();
+    }
+    
+    /**
+     * Guarda el progreso de los logros
+     */
+    saveAchievements() {
+        saveData('achievements', this.achievements.progress);
+    }
+    
+    /**
+     * Carga el progreso de los logros
+     * @return {Object|null} - Progreso guardado o null
+     */
+    loadAchievements() {
+        return loadData('achievements');
+    }
+    
+    /**
+     * Muestra un aviso breve en la esquina de la pantalla
+     * @param {string} message - Texto del aviso
+     */
+    showToast(message) {
+        if (!this.toastContainer) return;
+        
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.textContent = message;
+        this.toastContainer.appendChild(toast);
+        
+        setTimeout(() => toast.remove(), 4000);
+    }
+    
+    /**
+     * Muestra la galería de logros
+     */
+    openAchievements() {
+        const unlockedCount = ACHIEVEMENTS.filter(achievement => this.achievements.isUnlocked(achievement.id)).length;
+        document.querySelector('#achievements-count').textContent = `${unlockedCount}/${ACHIEVEMENTS.length}`;
+        
+        document.querySelector('#achievements-list').innerHTML = ACHIEVEMENTS.map(achievement => {
+            const date = this.achievements.progress.unlocked[achievement.id];
+            const state = date ? `Conseguido el ${new Date(date).toLocaleDateString()}` : 'Bloqueado';
+            return `<div class="achievement${date ? ' unlocked' : ''}">` +
+                `<span class="achievement-icon">${achievement.icon}</span>` +
+                `<strong>${achievement.name}</strong>` +
+                `<p>${achievement.description}</p>` +
+                `<small>${state}</small></div>`;
+        }).join('');
+        
+        document.getElementById('achievements-overlay').classList.remove('hidden');
+    }
+    
+    /**
+     * Descarga en un solo JSON todos los datos locales
+     */
+    exportProfile() {
+        const profile = createProfile(name => loadData(name));
+        downloadFile(`hanoi-perfil-${profile.exportedAt.slice(0, 10)}.json`, JSON.stringify(profile, null, 2));
+        this.showToast('Datos exportados');
+    }
+    
+    /**
+     * Lee un perfil exportado y lo combina con los datos locales o los sustituye
+     * @param {File} file - Archivo JSON del perfil
+     * @param {string} mode - 'merge' (combinar) o 'replace' (reemplazar)
+     */
+    importProfile(file, mode = 'merge') {
+        file.text()
+            .then(text => {
+                const incoming = parseProfile(text);
+                
+                if (mode === 'replace') {
+                    if (!window.confirm('Se borrarán los datos de este navegador y se usarán los del archivo. ¿Continuar?')) {
+                        return;
+                    }
+                    Object.keys(STORAGE_SCHEMAS).forEach(name => {
+                        if (incoming[name] === undefined) {
+                            removeData(name);
+                        } else {
+                            saveData(name, incoming[name]);
+                        }
+                    });
+                } else {
+                    const current = {};
+                    Object.keys(STORAGE_SCHEMAS).forEach(name => {
+                        current[name] = loadData(name);
+                    });
+                    const merged = mergeProfileData(current, incoming);
+                    Object.entries(merged).forEach(([name, value]) => {
+                        if (value !== null && value !== undefined) {
+                            saveData(name, value);
+                        }
+                    });
+                }
+                
+                this.reloadStoredData();
+                this.showToast(mode === 'replace' ? 'Datos importados' : 'Datos combinados');
+            })
+            .catch(error => {
+                console.error('Error al importar los datos:', error);
+                this.gameStatus.textContent = `No se pudieron importar los datos: ${error.message}`;
+                this.playErrorSound();
+            });
+    }
+    
+    /**
+     * Vuelve a leer los datos guardados después de importar un perfil
+     */
+    reloadStoredData() {
+        this.currentTheme = this.loadThemeSettings() || this.currentTheme;
+        this.gameSettings = { ...this.gameSettings, ...this.loadGameSettings() };
+        if (this.timeBudgetSelect) {
+            this.timeBudgetSelect.value = this.gameSettings.timeBudget;
+        }
+        this.leaderboards = this.loadLeaderboards();
+        this.bestSplits = this.loadBestSplits();
+        this.gameLog = this.loadGameLog();
+        this.campaignProgress = this.loadCampaignProgress();
+        this.achievements = this.createAchievementEngine();
+        
+        // Ofrecer la partida guardada importada si no hay otra en juego
+        if (!this.hasActiveGame()) {
+            this.pendingSavedGame = this.loadSavedGame();
+            this.offerSavedGame();
+        }
+        
+        this.updateThemeSelections();
+        this.applyThemes();
+        this.updateUI();
+    }
+    
     /**
      * Abre el selector de temas
      */
@@ -1112,9 +3634,6 @@ export class Game { // Exportar la clase
         
         // Seleccionar los temas actuales
         this.updateThemeSelections();
-        
-        // Configurar los manejadores de eventos
-        this.setupThemeEventListeners();
     }
     
     /**
@@ -1139,10 +3658,19 @@ export class Game { // Exportar la clase
                 option.classList.remove('selected');
             }
         });
+        
+        const undoOptions = document.querySelectorAll('.undo-policies .theme-option');
+        undoOptions.forEach(option => {
+            if (option.dataset.policy === this.gameSettings.undoPolicy) {
+                option.classList.add('selected');
+            } else {
+                option.classList.remove('selected');
+            }
+        });
     }
     
     /**
-     * Configura los manejadores de eventos para el modal de temas
+     * Configura los manejadores de eventos para el modal de temas (una vez, al iniciar)
      */
     setupThemeEventListeners() {
         // Botón para cerrar el modal
@@ -1169,6 +3697,15 @@ export class Game { // Exportar la clase
             });
         });
         
+        // Evento para opciones de deshacer
+        const undoOptions = document.querySelectorAll('.undo-policies .theme-option');
+        undoOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                undoOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+            });
+        });
+        
         // Botón para guardar cambios
         const saveButton = document.getElementById('save-theme');
         saveButton.addEventListener('click', () => {
@@ -1192,8 +3729,16 @@ export class Game { // Exportar la clase
             diskShape: this.currentTheme.diskShape // Mantener la forma actual
         };
         
-        // Guardar en localStorage
+        // Guardar la configuración
         this.saveThemeSettings();
+        this.notifyAchievements({ type: 'theme', tower: selectedTowerTheme, disk: selectedDiskTheme });
+        
+        // Política de deshacer
+        const selectedUndoPolicy = document.querySelector('.undo-policies .theme-option.selected');
+        if (selectedUndoPolicy) {
+            this.gameSettings.undoPolicy = selectedUndoPolicy.dataset.policy;
+            this.saveGameSettings();
+        }
         
         // Aplicar los temas
         this.applyThemes();
@@ -1203,11 +3748,7 @@ export class Game { // Exportar la clase
      * Guarda la configuración de temas
      */
     saveThemeSettings() {
-        try {
-            localStorage.setItem('hanoiThemeSettings', JSON.stringify(this.currentTheme));
-        } catch (e) {
-            console.error('Error al guardar los ajustes de tema:', e);
-        }
+        saveData('theme', this.currentTheme);
     }
     
     /**
@@ -1215,15 +3756,22 @@ export class Game { // Exportar la clase
      * @return {Object|null} - Configuración de temas o null
      */
     loadThemeSettings() {
-        try {
-            const settings = localStorage.getItem('hanoiThemeSettings');
-            if (settings) {
-                return JSON.parse(settings);
-            }
-        } catch (e) {
-            console.error('Error al cargar los ajustes de tema:', e);
-        }
-        return null;
+        return loadData('theme');
+    }
+    
+    /**
+     * Guarda los ajustes de juego
+     */
+    saveGameSettings() {
+        saveData('settings', this.gameSettings);
+    }
+    
+    /**
+     * Carga los ajustes de juego
+     * @return {Object|null} - Ajustes de juego o null
+     */
+    loadGameSettings() {
+        return loadData('settings');
     }
     
     /**
@@ -1291,6 +3839,9 @@ export class Game { // Exportar la clase
             }
         });
         
+        // Recolocar las flechas de dirección sobre las nuevas bases
+        this.updateDirectionArrows();
+        
         // Actualizar la interfaz de usuario para reflejar los cambios
         console.log("Tema actualizado:", this.currentTheme);
     }
@@ -0,0 +1,64 @@
+/**
+ * Cronómetro de la partida basado en performance.now(), con precisión de milisegundos
+ */
+
+/**
+ * Clase que mide el tiempo jugado, descontando las pausas
+ */
+export class GameClock {
+    /**
+     * Constructor de la clase GameClock
+     * @param {Function} now - Función que devuelve el instante actual en ms (por defecto performance.now)
+     */
+    constructor(now = () => performance.now()) {
+        this.now = now;
+        this.accumulated = 0; // Milisegundos acumulados hasta la última parada
+        this.startedAt = null; // Instante en que se puso en marcha (null si está parado)
+    }
+
+    /**
+     * Indica si el cronómetro está en marcha
+     * @return {boolean} - true si está contando
+     */
+    get isRunning() {
+        return this.startedAt !== null;
+    }
+
+    /**
+     * Milisegundos medidos hasta ahora
+     * @return {number} - Tiempo en ms
+     */
+    get elapsed() {
+        return this.accumulated + (this.isRunning ? this.now() - this.startedAt : 0);
+    }
+
+    /**
+     * Pone en marcha el cronómetro (si ya lo estaba, no hace nada)
+     */
+    start() {
+        if (!this.isRunning) {
+            this.startedAt = this.now();
+        }
+    }
+
+    /**
+     * Detiene el cronómetro conservando el tiempo medido
+     */
+    stop() {
+        if (this.isRunning) {
+            this.accumulated += this.now() - this.startedAt;
+            this.startedAt = null;
+        }
+    }
+
+    /**
+     * Fija el tiempo medido sin cambiar si está en marcha o parado
+     * @param {number} ms - Tiempo en ms
+     */
+    reset(ms = 0) {
+        this.accumulated = ms;
+        if (this.isRunning) {
+            this.startedAt = this.now();
+        }
+    }
+}
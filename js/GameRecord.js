@@ -0,0 +1,265 @@
+/**
+ * Formato de registro de partida de la Torre de Hanoi.
+ *
+ * Formato JSON:
+ * {
+ *     "format": "hanoi-record",
+ *     "version": 1,
+ *     "date": "2025-01-01T12:00:00.000Z",   // Inicio de la partida (ISO 8601)
+ *     "disks": 4,                          // Número de discos
+ *     "pegs": 3,                           // Número de torres
+ *     "mode": "normal",                    // Modo de juego
+ *     "variant": "clasica",                // Variante de reglas (opcional, ver variants.js)
+ *     "seed": null,                        // Semilla del generador aleatorio, si la hay
+ *     "timeBudget": null,                  // Ritmo de contrarreloj (solo en ese modo, ver TimeAttack.js)
+ *     "start": [[4, 3, 2, 1], [], []],     // Distribución inicial (de abajo a arriba)
+ *     "goal": [[], [], [4, 3, 2, 1]],      // Distribución objetivo (opcional; por defecto, todo en la última torre)
+ *     "moves": [                           // Movimientos en orden
+ *         { "from": 0, "to": 2, "disk": 1, "t": 1520 }   // t = milisegundos desde el inicio
+ *     ],
+ *     "result": { "outcome": "victoria", "moves": 15, "time": 42.37 }
+ * }
+ *
+ * "outcome" puede ser "victoria", "derrota" o "en-curso"; "time" está en segundos (con milésimas).
+ *
+ * Notación compacta de texto: una cabecera "Clave: valor" por línea y después
+ * los movimientos separados por espacios, con las torres nombradas por letras
+ * (A es la primera torre). Por ejemplo:
+ *
+ *     Discos: 3
+ *     Torres: 3
+ *     Modo: normal
+ *     Variante: clasica
+ *     Semilla: -
+ *     Ritmo: -
+ *     Inicio: 3,2,1||
+ *     Objetivo: ||3,2,1
+ *     Resultado: victoria
+ *
+ *     A>C A>B C>B A>C B>A B>C A>C
+ */
+
+import { HanoiState } from './HanoiState.js';
+import { TIME_BUDGETS } from './TimeAttack.js';
+import { DISK_LIMITS, PEG_LIMITS } from './utils.js';
+
+export const RECORD_FORMAT = 'hanoi-record';
+export const RECORD_VERSION = 1;
+
+const PEG_LETTERS = 'ABCDEFGH';
+const OUTCOMES = ['victoria', 'derrota', 'en-curso'];
+
+/**
+ * Crea un registro de partida
+ * @param {Object} data - Datos de la partida
+ * @param {number} data.disks - Número de discos
+ * @param {number} data.pegs - Número de torres
+ * @param {string} data.mode - Modo de juego
+ * @param {number|null} data.seed - Semilla del generador aleatorio
+ * @param {string|null} data.timeBudget - Ritmo de contrarreloj (null en los demás modos)
+ * @param {HanoiState} data.start - Estado inicial (incluye la variante de reglas)
+ * @param {HanoiState} data.goal - Distribución objetivo
+ * @param {Object[]} data.moves - Movimientos ({from, to, disk, t})
+ * @param {Object} data.result - Resultado ({outcome, moves, time})
+ * @param {Date} data.date - Fecha de inicio de la partida
+ * @return {Object} - Registro listo para serializar
+ */
+export function createGameRecord({
+    disks, pegs, mode, seed = null, timeBudget = null, start, goal = null, moves, result, date = new Date()
+}) {
+    const goalState = goal || HanoiState.initial(disks, pegs, pegs - 1);
+    return {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        date: date.toISOString(),
+        disks,
+        pegs,
+        mode,
+        variant: start.variant,
+        seed,
+        timeBudget,
+        start: start.toJSON().pegs,
+        goal: goalState.toJSON().pegs,
+        moves: moves.map(({ from, to, disk, t }) => ({ from, to, disk, t: t || 0 })),
+        result: { ...result }
+    };
+}
+
+/**
+ * Valida un registro y comprueba que todos sus movimientos sean legales
+ * @param {Object} data - Registro a validar
+ * @return {Object} - El mismo registro, si es válido
+ */
+export function validateGameRecord(data) {
+    if (!data || data.format !== RECORD_FORMAT) {
+        throw new Error('El archivo no es un registro de partida');
+    }
+    if (data.version > RECORD_VERSION) {
+        throw new Error(`Versión de registro no soportada: ${data.version}`);
+    }
+    if (!Number.isInteger(data.disks) || !Number.isInteger(data.pegs)) {
+        throw new Error('El registro no indica discos y torres');
+    }
+    if (data.disks < DISK_LIMITS.min || data.disks > DISK_LIMITS.max) {
+        throw new Error(`El registro debe tener entre ${DISK_LIMITS.min} y ${DISK_LIMITS.max} discos`);
+    }
+    if (data.pegs < PEG_LIMITS.min || data.pegs > PEG_LIMITS.max) {
+        throw new Error(`El registro debe tener entre ${PEG_LIMITS.min} y ${PEG_LIMITS.max} torres`);
+    }
+    if (typeof data.date !== 'string' || Number.isNaN(Date.parse(data.date))) {
+        throw new Error('El registro no indica una fecha válida');
+    }
+    const hasTimeBudget = data.timeBudget !== undefined && data.timeBudget !== null;
+    if (hasTimeBudget && !TIME_BUDGETS.some(budget => budget.id === data.timeBudget)) {
+        throw new Error(`Ritmo de contrarreloj desconocido: ${data.timeBudget}`);
+    }
+
+    const state = new HanoiState(data.start, data.variant);
+    if (state.numDisks !== data.disks || state.numPegs !== data.pegs) {
+        throw new Error('La distribución inicial no coincide con discos y torres');
+    }
+
+    if (data.goal !== undefined) {
+        const goal = new HanoiState(data.goal);
+        if (goal.numDisks !== data.disks || goal.numPegs !== data.pegs) {
+            throw new Error('La distribución objetivo no coincide con discos y torres');
+        }
+    }
+
+    if (!Array.isArray(data.moves)) {
+        throw new Error('El registro no contiene movimientos');
+    }
+    data.moves.forEach((move, index) => {
+        if (!state.isLegal(move.from, move.to)) {
+            throw new Error(`Movimiento ${index + 1} ilegal`);
+        }
+        state.move(move.from, move.to);
+    });
+
+    if (data.result) {
+        const { outcome, moves, time } = data.result;
+        if (!OUTCOMES.includes(outcome)) {
+            throw new Error(`Resultado desconocido: ${outcome}`);
+        }
+        if (!Number.isInteger(moves) || moves < 0) {
+            throw new Error('El resultado no indica los movimientos');
+        }
+        if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+            throw new Error('El resultado no indica el tiempo');
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Obtiene la distribución objetivo de un registro
+ * @param {Object} record - Registro de partida
+ * @return {HanoiState} - Objetivo; los registros sin él terminan en la última torre
+ */
+export function getRecordGoal(record) {
+    if (record.goal) {
+        return new HanoiState(record.goal);
+    }
+    return HanoiState.initial(record.disks, record.pegs, record.pegs - 1);
+}
+
+/**
+ * Convierte movimientos a notación compacta
+ * @param {Object[]} moves - Movimientos ({from, to})
+ * @return {string} - Por ejemplo "A>C A>B C>B"
+ */
+export function movesToNotation(moves) {
+    return moves.map(move => `${PEG_LETTERS[move.from]}>${PEG_LETTERS[move.to]}`).join(' ');
+}
+
+/**
+ * Interpreta movimientos en notación compacta
+ * @param {string} text - Movimientos separados por espacios
+ * @return {Object[]} - Movimientos ({from, to})
+ */
+export function notationToMoves(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(token => {
+        const match = /^([A-H])>([A-H])$/i.exec(token);
+        if (!match) {
+            throw new Error(`Movimiento no reconocido: ${token}`);
+        }
+        return {
+            from: PEG_LETTERS.indexOf(match[1].toUpperCase()),
+            to: PEG_LETTERS.indexOf(match[2].toUpperCase())
+        };
+    });
+}
+
+/**
+ * Convierte un registro a la notación compacta de texto
+ * @param {Object} record - Registro de partida
+ * @return {string} - Texto con cabecera y movimientos
+ */
+export function recordToNotation(record) {
+    const start = new HanoiState(record.start, record.variant);
+    const header = [
+        `Discos: ${record.disks}`,
+        `Torres: ${record.pegs}`,
+        `Modo: ${record.mode}`,
+        `Variante: ${start.variant}`,
+        `Semilla: ${record.seed === null ? '-' : record.seed}`,
+        `Ritmo: ${record.timeBudget || '-'}`,
+        `Inicio: ${start.serialize()}`,
+        `Objetivo: ${getRecordGoal(record).serialize()}`,
+        `Resultado: ${record.result ? record.result.outcome : 'en-curso'}`
+    ];
+    return `${header.join('\n')}\n\n${movesToNotation(record.moves)}\n`;
+}
+
+/**
+ * Interpreta un registro en JSON o en notación compacta de texto
+ * @param {string} text - Contenido del archivo
+ * @return {Object} - Registro validado
+ */
+export function parseGameRecord(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        return validateGameRecord(JSON.parse(trimmed));
+    }
+
+    // Notación de texto: cabecera "Clave: valor" y después los movimientos
+    const header = {};
+    const moveLines = [];
+    trimmed.split(/\r?\n/).forEach(line => {
+        const match = /^(\w+):\s*(.*)$/.exec(line.trim());
+        if (match) {
+            header[match[1].toLowerCase()] = match[2].trim();
+        } else if (line.trim()) {
+            moveLines.push(line);
+        }
+    });
+
+    const start = HanoiState.deserialize(header.inicio || '', header.variante);
+    const state = start.clone();
+    const moves = notationToMoves(moveLines.join(' ')).map(({ from, to }) => {
+        if (!state.isLegal(from, to)) {
+            throw new Error(`Movimiento ilegal: ${PEG_LETTERS[from]}>${PEG_LETTERS[to]}`);
+        }
+        return { ...state.move(from, to), t: 0 };
+    });
+
+    const seed = header.semilla && header.semilla !== '-' ? Number(header.semilla) : null;
+    const timeBudget = header.ritmo && header.ritmo !== '-' ? header.ritmo : null;
+    const goal = header.objetivo ? HanoiState.deserialize(header.objetivo) : null;
+    return validateGameRecord(createGameRecord({
+        disks: Number(header.discos) || start.numDisks,
+        pegs: Number(header.torres) || start.numPegs,
+        mode: header.modo || 'normal',
+        seed,
+        timeBudget,
+        start,
+        goal,
+        moves,
+        result: {
+            outcome: header.resultado || 'en-curso',
+            moves: moves.length,
+            time: 0
+        }
+    }));
+}
@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+import { DISK_COLORS, calculateDiskY } from './utils.js';
+
+// Escala de la vista previa respecto al tablero
+const PREVIEW_SCALE = 0.35;
+
+/**
+ * Vista previa translúcida de la distribución objetivo, junto al tablero
+ */
+export class GoalPreview {
+    /**
+     * Constructor de la clase GoalPreview
+     * @param {THREE.Scene} scene - La escena principal del juego
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.group.scale.setScalar(PREVIEW_SCALE);
+        this.width = 0; // Anchura a escala de la vista previa (0 si está oculta)
+        this.scene.add(this.group);
+    }
+
+    /**
+     * Dibuja la distribución objetivo
+     * @param {HanoiState} goal - Distribución objetivo
+     * @param {number[]} towerXs - Posición X de cada torre en el tablero (en el mismo orden que goal.pegs)
+     * @param {number} boardHalfWidth - Media anchura del tablero, para colocarse a su derecha
+     */
+    show(goal, towerXs, boardHalfWidth) {
+        this.clear();
+
+        const baseHeight = 1;
+        const diskHeight = 0.8;
+        const minX = Math.min(...towerXs);
+        const maxX = Math.max(...towerXs);
+        const centerX = (minX + maxX) / 2;
+        const material = (color, opacity) => new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            depthWrite: false
+        });
+
+        goal.pegs.forEach((sizes, pegIndex) => {
+            // Misma disposición que el tablero (también con las torres desordenadas)
+            const x = towerXs[pegIndex] - centerX;
+
+            // Base y poste de la torre
+            const base = new THREE.Mesh(new THREE.BoxGeometry(8, baseHeight, 8), material(0xFFFFFF, 0.15));
+            base.position.set(x, 0, 0);
+            const post = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 12, 12), material(0xFFFFFF, 0.2));
+            post.position.set(x, 6, 0);
+            this.group.add(base, post);
+
+            // Discos con los mismos colores que en el tablero
+            sizes.forEach((size, level) => {
+                const radius = 1.5 + size / goal.numDisks * 3.5;
+                const color = DISK_COLORS[(goal.numDisks - size) % DISK_COLORS.length];
+                const disk = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, diskHeight, 32), material(color, 0.45));
+                disk.position.set(x, calculateDiskY(level, diskHeight, baseHeight), 0);
+                this.group.add(disk);
+            });
+        });
+
+        this.width = (maxX - minX + 8) * PREVIEW_SCALE;
+        this.group.position.set(boardHalfWidth + 2 + this.width / 2, 0, 0);
+    }
+
+    /**
+     * Elimina la vista previa
+     */
+    clear() {
+        this.group.children.forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.group.clear();
+        this.width = 0;
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * Estado lógico de la Torre de Hanoi, independiente de Three.js y del DOM.
+ * Puede usarse desde Game, desde Node o desde un worker.
+ */
+
+import { VARIANTS, DEFAULT_VARIANT, isDirectionAllowed } from './variants.js';
+
+/**
+ * Clase que representa la distribución de discos entre las torres
+ */
+export class HanoiState {
+    /**
+     * Constructor de la clase HanoiState
+     * @param {number[][]} pegs - Tamaños de los discos de cada torre, de abajo a arriba (1 es el más pequeño)
+     * @param {string} variant - Variante de reglas (ver variants.js)
+     */
+    constructor(pegs, variant = DEFAULT_VARIANT) {
+        if (!HanoiState.isValidLayout(pegs)) {
+            throw new Error('Distribución de discos no válida');
+        }
+        if (!VARIANTS[variant]) {
+            throw new Error(`Variante de reglas desconocida: ${variant}`);
+        }
+        this.pegs = pegs.map(peg => [...peg]);
+        this.variant = variant;
+        this.numDisks = this.pegs.reduce((total, peg) => total + peg.length, 0);
+    }
+
+    /**
+     * Crea el estado inicial con todos los discos en una torre
+     * @param {number} numDisks - Número de discos
+     * @param {number} numPegs - Número de torres
+     * @param {number} pegIndex - Torre donde se apilan los discos
+     * @param {string} variant - Variante de reglas
+     * @return {HanoiState} - Estado inicial
+     */
+    static initial(numDisks, numPegs = 3, pegIndex = 0, variant = DEFAULT_VARIANT) {
+        const pegs = Array.from({ length: numPegs }, () => []);
+        for (let size = numDisks; size >= 1; size--) {
+            pegs[pegIndex].push(size);
+        }
+        return new HanoiState(pegs, variant);
+    }
+
+    /**
+     * Crea una distribución aleatoria válida repartiendo los discos entre las torres
+     * @param {number} numDisks - Número de discos
+     * @param {number} numPegs - Número de torres
+     * @param {Function} random - Generador de números en [0, 1)
+     * @param {string} variant - Variante de reglas
+     * @return {HanoiState} - Estado con los discos repartidos
+     */
+    static random(numDisks, numPegs, random = Math.random, variant = DEFAULT_VARIANT) {
+        const pegs = Array.from({ length: numPegs }, () => []);
+
+        // Repartir de mayor a menor: cada disco cabe sobre cualquier torre,
+        // así nunca se llega a un reparto sin salida
+        for (let size = numDisks; size >= 1; size--) {
+            pegs[Math.floor(random() * numPegs)].push(size);
+        }
+
+        return new HanoiState(pegs, variant);
+    }
+
+    /**
+     * Comprueba que una distribución sea válida: torres ordenadas y discos 1..n sin repetir
+     * @param {number[][]} pegs - Distribución a comprobar
+     * @return {boolean} - true si la distribución es válida
+     */
+    static isValidLayout(pegs) {
+        if (!Array.isArray(pegs) || pegs.length < 3) {
+            return false;
+        }
+
+        const seen = new Set();
+        for (const peg of pegs) {
+            if (!Array.isArray(peg)) {
+                return false;
+            }
+            for (let i = 0; i < peg.length; i++) {
+                const size = peg[i];
+                if (!Number.isInteger(size) || size < 1 || seen.has(size)) {
+                    return false;
+                }
+                // Un disco solo puede estar sobre otro más grande
+                if (i > 0 && size > peg[i - 1]) {
+                    return false;
+                }
+                seen.add(size);
+            }
+        }
+
+        // Los tamaños deben ser consecutivos empezando en 1
+        return seen.size === 0 || Math.max(...seen) === seen.size;
+    }
+
+    /**
+     * Número de torres
+     * @return {number}
+     */
+    get numPegs() {
+        return this.pegs.length;
+    }
+
+    /**
+     * Crea una copia independiente del estado
+     * @return {HanoiState} - Copia del estado
+     */
+    clone() {
+        return new HanoiState(this.pegs, this.variant);
+    }
+
+    /**
+     * Obtiene el disco superior de una torre
+     * @param {number} peg - Índice de la torre
+     * @return {number|null} - Tamaño del disco superior o null si está vacía
+     */
+    getTopDisk(peg) {
+        const disks = this.pegs[peg];
+        return disks && disks.length > 0 ? disks[disks.length - 1] : null;
+    }
+
+    /**
+     * Busca la torre en la que se encuentra un disco
+     * @param {number} size - Tamaño del disco
+     * @return {number} - Índice de la torre o -1 si no existe
+     */
+    findDisk(size) {
+        return this.pegs.findIndex(peg => peg.includes(size));
+    }
+
+    /**
+     * Verifica si un movimiento respeta las reglas (tamaños y dirección de la variante)
+     * @param {number} from - Torre origen
+     * @param {number} to - Torre destino
+     * @return {boolean} - true si el movimiento es legal
+     */
+    isLegal(from, to) {
+        if (from === to || !this.pegs[from] || !this.pegs[to]) {
+            return false;
+        }
+        if (!isDirectionAllowed(this.variant, from, to, this.numPegs)) {
+            return false;
+        }
+
+        const disk = this.getTopDisk(from);
+        if (disk === null) {
+            return false;
+        }
+
+        const target = this.getTopDisk(to);
+        return target === null || disk < target;
+    }
+
+    /**
+     * Mueve el disco superior de una torre a otra
+     * @param {number} from - Torre origen
+     * @param {number} to - Torre destino
+     * @return {{from: number, to: number, disk: number}} - Movimiento realizado
+     */
+    move(from, to) {
+        if (!this.isLegal(from, to)) {
+            throw new Error(`Movimiento ilegal: ${from} -> ${to}`);
+        }
+
+        const disk = this.pegs[from].pop();
+        this.pegs[to].push(disk);
+        return { from, to, disk };
+    }
+
+    /**
+     * Revierte un movimiento realizado con move()
+     * @param {{from: number, to: number, disk: number}} move - Movimiento a revertir
+     * @return {{from: number, to: number, disk: number}} - Movimiento inverso aplicado
+     */
+    unapply(move) {
+        if (this.getTopDisk(move.to) !== move.disk) {
+            throw new Error(`No se puede revertir el movimiento: ${move.from} -> ${move.to}`);
+        }
+
+        this.pegs[move.to].pop();
+        this.pegs[move.from].push(move.disk);
+        return { from: move.to, to: move.from, disk: move.disk };
+    }
+
+    /**
+     * Verifica si se ha alcanzado el objetivo
+     * @param {number|HanoiState} goal - Torre donde deben apilarse todos los discos
+     *                                   o distribución objetivo (por defecto la última torre)
+     * @return {boolean} - true si el puzzle está resuelto
+     */
+    isSolved(goal = this.numPegs - 1) {
+        if (typeof goal === 'number') {
+            return this.pegs[goal].length === this.numDisks;
+        }
+        return this.equals(goal);
+    }
+
+    /**
+     * Compara con otro estado (solo la distribución, no la variante de reglas)
+     * @param {HanoiState} other - Estado a comparar
+     * @return {boolean} - true si ambos estados tienen la misma distribución
+     */
+    equals(other) {
+        return this.serialize() === other.serialize();
+    }
+
+    /**
+     * Serializa el estado en una cadena compacta (torres separadas por "|")
+     * @return {string} - Por ejemplo "4,3|2|1"
+     */
+    serialize() {
+        return this.pegs.map(peg => peg.join(',')).join('|');
+    }
+
+    /**
+     * Reconstruye un estado a partir de su forma compacta
+     * @param {string} text - Cadena generada por serialize()
+     * @param {string} variant - Variante de reglas
+     * @return {HanoiState} - Estado reconstruido
+     */
+    static deserialize(text, variant = DEFAULT_VARIANT) {
+        const pegs = String(text).split('|').map(peg =>
+            peg === '' ? [] : peg.split(',').map(Number)
+        );
+        return new HanoiState(pegs, variant);
+    }
+
+    /**
+     * Representación JSON del estado
+     * @return {Object} - Objeto serializable
+     */
+    toJSON() {
+        return { pegs: this.pegs.map(peg => [...peg]), variant: this.variant };
+    }
+
+    /**
+     * Reconstruye un estado desde su representación JSON
+     * @param {Object} data - Objeto generado por toJSON()
+     * @return {HanoiState} - Estado reconstruido
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.pegs)) {
+            throw new Error('Datos de estado no válidos');
+        }
+        return new HanoiState(data.pegs, data.variant);
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Clasificaciones locales: las 10 mejores partidas de cada configuración
+ * (discos × torres × modo × variante; en puzzle también por dificultad y en contrarreloj por ritmo).
+ *
+ * Entrada: {name, score, stars, moves, par, time, hints, undos, invalidMoves, date}
+ * (score y stars calculados con Score.js); en contrarreloj también timeLeft y timeScore (TimeAttack.js)
+ */
+
+import { DEFAULT_VARIANT, VARIANTS, getVariant } from './variants.js';
+import { calculateScore } from './Score.js';
+import { TIME_BUDGETS } from './TimeAttack.js';
+import { DIFFICULTY_RATINGS, GAME_MODE_LABELS, calculateMinMoves } from './utils.js';
+
+export const MAX_LEADERBOARD_ENTRIES = 10;
+
+/**
+ * Clave de la clasificación de una configuración
+ * @param {Object} config - Configuración de la partida
+ * @param {number} config.disks - Número de discos
+ * @param {number} config.pegs - Número de torres
+ * @param {string} config.mode - Modo de juego
+ * @param {string} config.variant - Variante de reglas
+ * @param {string|null} config.rating - Dificultad del puzzle o ritmo de contrarreloj (salvo el normal)
+ * @return {string} - Por ejemplo "5|3|normal|clasica", "5|4|puzzle|clasica|media" o "5|3|contrarreloj|clasica|rapido"
+ */
+export function getLeaderboardKey({ disks, pegs, mode, variant, rating = null }) {
+    const key = `${disks}|${pegs}|${mode}|${variant}`;
+    return rating ? `${key}|${rating}` : key;
+}
+
+/**
+ * Comprueba que una clave tenga el formato de getLeaderboardKey, con modo, variante,
+ * dificultad y ritmo conocidos
+ * @param {string} key - Clave a comprobar
+ * @return {boolean} - true si es una clave válida
+ */
+export function isLeaderboardKey(key) {
+    const [disks, pegs, mode, variant, rating, ...rest] = String(key).split('|');
+    const ratings = [...DIFFICULTY_RATINGS, ...TIME_BUDGETS].map(item => item.id);
+    return /^\d+$/.test(disks) &&
+        /^\d+$/.test(pegs) &&
+        Object.hasOwn(GAME_MODE_LABELS, mode) &&
+        Object.hasOwn(VARIANTS, variant) &&
+        (rating === undefined || ratings.includes(rating)) &&
+        rest.length === 0;
+}
+
+/**
+ * Describe una clasificación a partir de su clave
+ * @param {string} key - Clave de la clasificación
+ * @return {string} - Por ejemplo "5 discos · 3 torres · Puzzle (Media) · Clásica"
+ */
+export function describeLeaderboardKey(key) {
+    const [disks, pegs, mode, variant, rating] = key.split('|');
+    const ratingInfo = [...DIFFICULTY_RATINGS, ...TIME_BUDGETS].find(item => item.id === rating);
+    const modeLabel = (GAME_MODE_LABELS[mode] || mode) + (ratingInfo ? ` (${ratingInfo.label})` : '');
+    return `${disks} discos · ${pegs} torres · ${modeLabel} · ${getVariant(variant).label}`;
+}
+
+/**
+ * Compara dos entradas: primero la puntuación, después el tiempo
+ * @param {Object} a - Primera entrada
+ * @param {Object} b - Segunda entrada
+ * @return {number} - Negativo si a va por delante de b
+ */
+export function compareEntries(a, b) {
+    return b.score - a.score || a.time - b.time;
+}
+
+/**
+ * Añade una partida a su clasificación si entra entre las mejores
+ * @param {Object} boards - Clasificaciones por clave (no se modifican)
+ * @param {string} key - Clave de la clasificación
+ * @param {Object} entry - Entrada a añadir
+ * @return {{boards: Object, rank: number}} - Clasificaciones nuevas y puesto (desde 1; 0 si no entra)
+ */
+export function addLeaderboardEntry(boards, key, entry) {
+    const entries = [...(boards[key] || []), entry].sort(compareEntries);
+    const rank = entries.indexOf(entry) + 1;
+
+    if (rank > MAX_LEADERBOARD_ENTRIES) {
+        return { boards, rank: 0 };
+    }
+    return {
+        boards: { ...boards, [key]: entries.slice(0, MAX_LEADERBOARD_ENTRIES) },
+        rank
+    };
+}
+
+/**
+ * Convierte el récord antiguo (uno solo, del modo normal con 3 torres y reglas clásicas)
+ * en la primera entrada de la clasificación de su número de discos
+ * @param {Object} bestScore - Récord antiguo ({disks, moves, time})
+ * @return {Object} - Clasificaciones con el récord antiguo (vacías si no tiene discos)
+ */
+export function migrateLegacyBestScore(bestScore) {
+    if (!bestScore.disks) return {};
+
+    const entry = {
+        name: 'Jugador',
+        moves: bestScore.moves,
+        par: calculateMinMoves(bestScore.disks),
+        time: bestScore.time,
+        hints: 0,
+        undos: 0,
+        invalidMoves: 0,
+        date: new Date().toISOString()
+    };
+    const { points, stars } = calculateScore(entry);
+    const key = getLeaderboardKey({ disks: bestScore.disks, pegs: 3, mode: 'normal', variant: DEFAULT_VARIANT });
+    return addLeaderboardEntry({}, key, { ...entry, score: points, stars }).boards;
+}
@@ -0,0 +1,107 @@
+/**
+ * Formato de nivel de la Torre de Hanoi, creado con el editor de niveles.
+ *
+ * {
+ *     "format": "hanoi-level",
+ *     "version": 1,
+ *     "name": "Mi nivel",
+ *     "disks": 4,                          // Número de discos
+ *     "pegs": 3,                           // Número de torres
+ *     "variant": "clasica",                // Variante de reglas (ver variants.js)
+ *     "start": [[4, 3, 2, 1], [], []],     // Distribución inicial (de abajo a arriba)
+ *     "goal": [[], [2, 1], [4, 3]],        // Distribución objetivo
+ *     "par": 12                            // Movimientos mínimos (se recalcula al validar)
+ * }
+ */
+
+import { HanoiState } from './HanoiState.js';
+import { solveFromState } from './solver.js';
+import { DEFAULT_VARIANT, VARIANTS } from './variants.js';
+import { DISK_LIMITS, PEG_LIMITS } from './utils.js';
+
+export const LEVEL_FORMAT = 'hanoi-level';
+export const LEVEL_VERSION = 1;
+
+/**
+ * Crea un nivel a partir de sus distribuciones inicial y objetivo
+ * @param {Object} data - Datos del nivel
+ * @param {string} data.name - Nombre del nivel
+ * @param {HanoiState} data.start - Distribución inicial
+ * @param {HanoiState} data.goal - Distribución objetivo
+ * @param {string} data.variant - Variante de reglas con la que se juega
+ * @return {Object} - Nivel validado, con su par
+ */
+export function createLevel({ name, start, goal, variant = DEFAULT_VARIANT }) {
+    return validateLevel({
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name: name || 'Nivel sin nombre',
+        disks: start.numDisks,
+        pegs: start.numPegs,
+        variant,
+        start: start.toJSON().pegs,
+        goal: goal.toJSON().pegs
+    });
+}
+
+/**
+ * Valida un nivel y comprueba que el objetivo sea alcanzable desde el inicio
+ * @param {Object} data - Nivel a validar
+ * @return {Object} - El mismo nivel con el par calculado
+ */
+export function validateLevel(data) {
+    if (!data || data.format !== LEVEL_FORMAT) {
+        throw new Error('El archivo no es un nivel');
+    }
+    if (data.version > LEVEL_VERSION) {
+        throw new Error(`Versión de nivel no soportada: ${data.version}`);
+    }
+
+    if (!Number.isInteger(data.disks) || data.disks < DISK_LIMITS.min || data.disks > DISK_LIMITS.max) {
+        throw new Error(`El nivel debe tener entre ${DISK_LIMITS.min} y ${DISK_LIMITS.max} discos`);
+    }
+    if (!Number.isInteger(data.pegs) || data.pegs < PEG_LIMITS.min || data.pegs > PEG_LIMITS.max) {
+        throw new Error(`El nivel debe tener entre ${PEG_LIMITS.min} y ${PEG_LIMITS.max} torres`);
+    }
+
+    const variant = data.variant || DEFAULT_VARIANT;
+    if (!VARIANTS[variant]) {
+        throw new Error(`Variante de reglas desconocida: ${variant}`);
+    }
+    if (VARIANTS[variant].numPegs && VARIANTS[variant].numPegs !== data.pegs) {
+        throw new Error(`La variante ${VARIANTS[variant].label.toLowerCase()} necesita ${VARIANTS[variant].numPegs} torres`);
+    }
+
+    const start = new HanoiState(data.start, variant);
+    const goal = new HanoiState(data.goal, variant);
+    if (start.numDisks !== data.disks || start.numPegs !== data.pegs ||
+        goal.numDisks !== data.disks || goal.numPegs !== data.pegs) {
+        throw new Error('Las distribuciones no coinciden con discos y torres');
+    }
+    if (start.equals(goal)) {
+        throw new Error('El inicio ya coincide con el objetivo');
+    }
+
+    // Comprobar que la solución calculada llega de verdad al objetivo
+    const steps = solveFromState(start, goal);
+    const state = start.clone();
+    try {
+        steps.forEach(step => state.move(step.fromTower, step.toTower));
+    } catch (e) {
+        throw new Error('El objetivo no es alcanzable desde el inicio con estas reglas');
+    }
+    if (!state.isSolved(goal)) {
+        throw new Error('El objetivo no es alcanzable desde el inicio con estas reglas');
+    }
+
+    return { ...data, variant, par: steps.length };
+}
+
+/**
+ * Interpreta el contenido de un archivo de nivel
+ * @param {string} text - JSON del nivel
+ * @return {Object} - Nivel validado
+ */
+export function parseLevel(text) {
+    return validateLevel(JSON.parse(text));
+}
@@ -0,0 +1,106 @@
+/**
+ * Historial de movimientos con soporte para deshacer y rehacer
+ */
+
+/**
+ * Políticas disponibles para deshacer movimientos
+ * - countsAsMove: si es true, deshacer suma un movimiento; si es false, lo resta
+ * - blocksBestScore: si es true, una partida con deshacer no puede ser récord
+ */
+export const UNDO_POLICIES = {
+    libre: { countsAsMove: false, blocksBestScore: false },
+    penalizado: { countsAsMove: true, blocksBestScore: false },
+    sinRecord: { countsAsMove: false, blocksBestScore: true }
+};
+
+/**
+ * Clase que guarda la secuencia de movimientos de una partida
+ */
+export class MoveHistory {
+    /**
+     * Constructor de la clase MoveHistory
+     */
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Registra un nuevo movimiento y descarta los movimientos deshechos
+     * @param {Object} move - Movimiento ({from, to, disk})
+     */
+    push(move) {
+        this.undoStack.push(move);
+        this.redoStack = [];
+    }
+
+    /**
+     * Saca el último movimiento para deshacerlo
+     * @return {Object|null} - Movimiento deshecho o null si no hay
+     */
+    undo() {
+        const move = this.undoStack.pop() || null;
+        if (move) {
+            this.redoStack.push(move);
+        }
+        return move;
+    }
+
+    /**
+     * Recupera el último movimiento deshecho para rehacerlo
+     * @return {Object|null} - Movimiento a rehacer o null si no hay
+     */
+    redo() {
+        const move = this.redoStack.pop() || null;
+        if (move) {
+            this.undoStack.push(move);
+        }
+        return move;
+    }
+
+    /**
+     * @return {boolean} - true si hay movimientos para deshacer
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @return {boolean} - true si hay movimientos para rehacer
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Vacía el historial
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Movimientos realizados (sin contar los deshechos)
+     * @return {Object[]} - Copia de la lista de movimientos
+     */
+    get moves() {
+        return [...this.undoStack];
+    }
+
+    /**
+     * Movimientos deshechos que se pueden rehacer (el último es el próximo en rehacerse)
+     * @return {Object[]} - Copia de la lista de movimientos deshechos
+     */
+    get redoMoves() {
+        return [...this.redoStack];
+    }
+
+    /**
+     * Restaura los movimientos deshechos de una partida guardada
+     * @param {Object[]} moves - Movimientos deshechos (ver redoMoves)
+     */
+    restoreRedoMoves(moves) {
+        this.redoStack = [...moves];
+    }
+}
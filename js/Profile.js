@@ -0,0 +1,447 @@
+/**
+ * Perfil: todos los datos locales del jugador en un solo archivo JSON,
+ * para llevarlos a otro navegador u otra máquina.
+ *
+ * {
+ *     "format": "hanoi-profile",
+ *     "version": 1,
+ *     "exportedAt": "2025-05-01T10:00:00.000Z",
+ *     "data": {
+ *         "leaderboards": { "version": 1, "data": { ... } },   // Mismo contenido que en storage.js
+ *         "statistics": { "version": 1, "data": [ ... ] },
+ *         ...
+ *     }
+ * }
+ */
+
+import { STORAGE_SCHEMAS, migrateData } from './storage.js';
+import { validateGameRecord } from './GameRecord.js';
+import { addLeaderboardEntry, isLeaderboardKey } from './Leaderboard.js';
+import { MAX_LOGGED_GAMES, GAME_OUTCOMES } from './Statistics.js';
+import { createEmptyProgress, recordLevelResult } from './Campaign.js';
+import { createEmptyDailyData } from './DailyChallenge.js';
+import { ACHIEVEMENTS, createEmptyAchievementProgress } from './Achievements.js';
+import { UNDO_POLICIES } from './MoveHistory.js';
+import { TIME_BUDGETS } from './TimeAttack.js';
+import { VARIANTS } from './variants.js';
+import { GAME_MODE_LABELS } from './utils.js';
+
+export const PROFILE_FORMAT = 'hanoi-profile';
+export const PROFILE_VERSION = 1;
+
+/**
+ * Crea el perfil con los datos guardados
+ * @param {Function} load - Función que carga un dato por su nombre (loadData de storage.js)
+ * @return {Object} - Perfil listo para exportar
+ */
+export function createProfile(load) {
+    const data = {};
+    Object.keys(STORAGE_SCHEMAS).forEach(name => {
+        const value = load(name);
+        if (value !== null && value !== undefined) {
+            data[name] = { version: STORAGE_SCHEMAS[name].version, data: value };
+        }
+    });
+
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        data
+    };
+}
+
+// Comprobaciones de tipo de los campos
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = value => typeof value === 'boolean';
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isDate = value => isString(value) && !Number.isNaN(Date.parse(value));
+const isDateKey = value => isString(value) && /^\d{4}-\d{2}-\d{2}$/.test(value);
+const isStars = value => Number.isInteger(value) && value >= 0 && value <= 3;
+const isMode = value => Object.hasOwn(GAME_MODE_LABELS, value);
+const isVariant = value => Object.hasOwn(VARIANTS, value);
+const isOneOf = values => value => values.includes(value);
+const isNullable = check => value => value === null || check(value);
+const isListOf = check => value => Array.isArray(value) && value.every(check);
+
+// Campos de cada tipo de registro: obligatorios y opcionales
+const LEADERBOARD_ENTRY_FIELDS = {
+    required: {
+        name: isString, score: isNumber, stars: isStars, moves: isCount, par: isCount,
+        time: isNumber, hints: isCount, date: isDate
+    },
+    optional: { undos: isCount, invalidMoves: isCount, timeLeft: isNumber, timeScore: isNumber }
+};
+
+const GAME_LOG_FIELDS = {
+    required: {
+        date: isDate, mode: isMode, variant: isVariant, disks: isCount, pegs: isCount,
+        outcome: isOneOf(GAME_OUTCOMES), moves: isCount, par: isCount, time: isNumber,
+        efficiency: isNullable(isNumber)
+    }
+};
+
+const DAILY_RESULT_FIELDS = {
+    required: { outcome: isOneOf(['victoria', 'derrota', 'en-curso']), moves: isCount, time: isNumber, hints: isCount }
+};
+
+const DAILY_FIELDS = {
+    required: { results: isObject, streak: isCount, bestStreak: isCount, lastWin: isNullable(isDateKey) }
+};
+
+const SPLIT_FIELDS = {
+    required: { disks: isCount, time: isNumber }
+};
+
+const BEST_SPLITS_FIELDS = {
+    required: { time: isNumber, splits: Array.isArray, date: isDate }
+};
+
+const CAMPAIGN_LEVEL_FIELDS = {
+    required: { stars: isStars, bestMoves: isCount, bestTime: isNumber }
+};
+
+const MOVE_FIELDS = {
+    required: { from: isCount, to: isCount, disk: isCount },
+    optional: { t: isNumber }
+};
+
+const CAMPAIGN_POSITION_FIELDS = {
+    required: { packIndex: isCount, levelIndex: isCount }
+};
+
+const SAVED_GAME_FIELDS = {
+    required: {
+        record: isObject, redoMoves: isListOf(move => hasFields(move, MOVE_FIELDS)),
+        undoCount: isCount, hintsUsed: isCount, invalidMoves: isCount, timeAdjustment: isNumber,
+        campaignLevel: isNullable(level => hasFields(level, CAMPAIGN_POSITION_FIELDS))
+    },
+    optional: {
+        timeBudget: isOneOf(TIME_BUDGETS.map(budget => budget.id)), dailyDate: isNullable(isDateKey),
+        dailyScored: isBoolean, savedAt: isDate
+    }
+};
+
+// Formas de disco que sabe dibujar Disk.js
+const DISK_SHAPES = ['torus', 'ring', 'cylinder', 'star', 'custom'];
+
+const THEME_FIELDS = {
+    required: { tower: isString, disk: isString, diskShape: isOneOf(DISK_SHAPES) }
+};
+
+// Los ajustes se combinan con los valores por defecto, así que ninguno es obligatorio
+const SETTINGS_FIELDS = {
+    required: {},
+    optional: {
+        undoPolicy: isOneOf(Object.keys(UNDO_POLICIES)), playerName: isString,
+        timeBudget: isOneOf(TIME_BUDGETS.map(budget => budget.id))
+    }
+};
+
+const ACHIEVEMENT_IDS = ACHIEVEMENTS.map(achievement => achievement.id);
+
+const ACHIEVEMENTS_FIELDS = {
+    required: { unlocked: isObject },
+    optional: {
+        counters: isObject,
+        modesWon: isListOf(isMode),
+        variantsWon: isListOf(isVariant),
+        towerThemes: isListOf(isString)
+    }
+};
+
+/**
+ * Comprueba que un registro tenga exactamente los campos esperados, con su tipo
+ * @param {*} item - Registro a comprobar
+ * @param {Object} fields - Campos obligatorios y opcionales ({required, optional}) con su comprobación
+ * @return {boolean} - true si es válido
+ */
+function hasFields(item, { required, optional = {} }) {
+    if (!isObject(item)) return false;
+    const known = Object.keys(item).every(field => Object.hasOwn(required, field) || Object.hasOwn(optional, field));
+    return known &&
+        Object.entries(required).every(([field, check]) => check(item[field])) &&
+        Object.entries(optional).every(([field, check]) => item[field] === undefined || check(item[field]));
+}
+
+/**
+ * Comprueba que un dato del perfil tenga la forma esperada, campo a campo,
+ * para que nada importado llegue a la interfaz sin validar
+ * @param {string} name - Nombre del dato
+ * @param {*} value - Dato ya migrado a la versión actual
+ */
+function validateProfileData(name, value) {
+    const fail = message => {
+        throw new Error(message);
+    };
+
+    switch (name) {
+        case 'leaderboards':
+            if (!isObject(value)) fail('Las clasificaciones no son válidas');
+            Object.entries(value).forEach(([key, entries]) => {
+                if (!isLeaderboardKey(key)) fail(`Clasificación desconocida: ${key}`);
+                if (!isListOf(entry => hasFields(entry, LEADERBOARD_ENTRY_FIELDS))(entries)) {
+                    fail(`Las entradas de la clasificación ${key} no son válidas`);
+                }
+            });
+            break;
+
+        case 'statistics':
+            if (!isListOf(game => hasFields(game, GAME_LOG_FIELDS))(value)) {
+                fail('Las estadísticas no son válidas');
+            }
+            break;
+
+        case 'savedGame':
+            if (!hasFields(value, SAVED_GAME_FIELDS)) fail('La partida guardada no es válida');
+            validateGameRecord(value.record);
+            break;
+
+        case 'achievements':
+            if (!hasFields(value, ACHIEVEMENTS_FIELDS)) fail('Los logros no son válidos');
+            Object.entries(value.unlocked).forEach(([id, date]) => {
+                if (!ACHIEVEMENT_IDS.includes(id) || !isDate(date)) fail(`Logro no válido: ${id}`);
+            });
+            if (value.counters && !Object.values(value.counters).every(isCount)) {
+                fail('Los contadores de logros no son válidos');
+            }
+            break;
+
+        case 'campaign':
+            if (!hasFields(value, { required: { levels: isObject } })) fail('El progreso de la campaña no es válido');
+            Object.entries(value.levels).forEach(([key, level]) => {
+                if (!hasFields(level, CAMPAIGN_LEVEL_FIELDS)) fail(`El progreso del nivel ${key} no es válido`);
+            });
+            break;
+
+        case 'splits':
+            if (!isObject(value)) fail('Los tiempos parciales no son válidos');
+            Object.entries(value).forEach(([key, best]) => {
+                if (!isLeaderboardKey(key)) fail(`Configuración desconocida en los tiempos parciales: ${key}`);
+                if (!hasFields(best, BEST_SPLITS_FIELDS) || !isListOf(split => hasFields(split, SPLIT_FIELDS))(best.splits)) {
+                    fail(`Los tiempos parciales de ${key} no son válidos`);
+                }
+            });
+            break;
+
+        case 'daily':
+            if (!hasFields(value, DAILY_FIELDS)) fail('El historial de retos diarios no es válido');
+            Object.entries(value.results).forEach(([dateKey, result]) => {
+                if (!isDateKey(dateKey) || !hasFields(result, DAILY_RESULT_FIELDS)) {
+                    fail(`El reto diario del ${dateKey} no es válido`);
+                }
+            });
+            break;
+
+        case 'theme':
+            if (!hasFields(value, THEME_FIELDS)) fail('Los temas no son válidos');
+            break;
+
+        case 'settings':
+            if (!hasFields(value, SETTINGS_FIELDS)) fail('Los ajustes no son válidos');
+            break;
+
+        case 'instructions':
+            break;
+
+        default:
+            if (!isObject(value)) fail(`Los datos de "${name}" no son válidos`);
+    }
+}
+
+/**
+ * Valida un perfil importado y lleva cada dato a la versión actual de su esquema
+ * @param {Object} profile - Perfil a validar
+ * @return {Object} - Datos por nombre, listos para guardar
+ */
+export function validateProfile(profile) {
+    if (!profile || profile.format !== PROFILE_FORMAT) {
+        throw new Error('El archivo no es un perfil de Torre de Hanoi');
+    }
+    if (profile.version > PROFILE_VERSION) {
+        throw new Error(`Versión de perfil no soportada: ${profile.version}`);
+    }
+    if (!profile.data || typeof profile.data !== 'object') {
+        throw new Error('El perfil no contiene datos');
+    }
+
+    const data = {};
+    Object.entries(profile.data).forEach(([name, entry]) => {
+        if (!STORAGE_SCHEMAS[name]) {
+            throw new Error(`Dato desconocido en el perfil: ${name}`);
+        }
+        if (!entry || entry.data === undefined) {
+            throw new Error(`Faltan los datos de "${name}"`);
+        }
+        const value = migrateData(name, entry.data, entry.version);
+        validateProfileData(name, value);
+        data[name] = value;
+    });
+    return data;
+}
+
+/**
+ * Interpreta el contenido de un archivo de perfil
+ * @param {string} text - JSON del perfil
+ * @return {Object} - Datos validados por nombre
+ */
+export function parseProfile(text) {
+    return validateProfile(JSON.parse(text));
+}
+
+/**
+ * Une las clasificaciones conservando las 10 mejores de cada configuración
+ * @param {Object} current - Clasificaciones locales
+ * @param {Object} incoming - Clasificaciones importadas
+ * @return {Object} - Clasificaciones combinadas
+ */
+function mergeLeaderboards(current, incoming) {
+    const isSameEntry = (a, b) => a.date === b.date && a.name === b.name && a.score === b.score;
+
+    let merged = current;
+    Object.entries(incoming).forEach(([key, entries]) => {
+        entries
+            .filter(entry => !(merged[key] || []).some(existing => isSameEntry(existing, entry)))
+            .forEach(entry => {
+                merged = addLeaderboardEntry(merged, key, entry).boards;
+            });
+    });
+    return merged;
+}
+
+/**
+ * Une dos registros de partidas sin duplicados, ordenados por fecha
+ * @param {Object[]} current - Registro local
+ * @param {Object[]} incoming - Registro importado
+ * @return {Object[]} - Registro combinado
+ */
+function mergeStatistics(current, incoming) {
+    const keyOf = game => `${game.date}|${game.mode}|${game.moves}|${game.outcome}`;
+    const known = new Set(current.map(keyOf));
+    return [...current, ...incoming.filter(game => !known.has(keyOf(game)))]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-MAX_LOGGED_GAMES);
+}
+
+/**
+ * Une dos progresos de logros: conserva todos los desbloqueados y los contadores mayores
+ * @param {Object} current - Progreso local
+ * @param {Object} incoming - Progreso importado
+ * @return {Object} - Progreso combinado
+ */
+function mergeAchievements(current, incoming) {
+    const empty = createEmptyAchievementProgress();
+    const a = { ...empty, ...current };
+    const b = { ...empty, ...incoming };
+    const union = (x, y) => [...new Set([...x, ...y])];
+
+    const unlocked = { ...b.unlocked };
+    Object.entries(a.unlocked).forEach(([id, date]) => {
+        // La fecha más antigua es la de verdad
+        if (!unlocked[id] || date < unlocked[id]) {
+            unlocked[id] = date;
+        }
+    });
+
+    const counters = { ...empty.counters };
+    Object.keys(counters).forEach(counter => {
+        counters[counter] = Math.max((a.counters || {})[counter] || 0, (b.counters || {})[counter] || 0);
+    });
+
+    return {
+        unlocked,
+        counters,
+        modesWon: union(a.modesWon, b.modesWon),
+        variantsWon: union(a.variantsWon, b.variantsWon),
+        towerThemes: union(a.towerThemes, b.towerThemes)
+    };
+}
+
+/**
+ * Une dos progresos de campaña conservando las mejores marcas de cada nivel
+ * @param {Object} current - Progreso local
+ * @param {Object} incoming - Progreso importado
+ * @return {Object} - Progreso combinado
+ */
+function mergeCampaign(current, incoming) {
+    let merged = { ...createEmptyProgress(), ...current };
+    Object.entries(incoming.levels).forEach(([key, entry]) => {
+        merged = recordLevelResult(merged, key, { stars: entry.stars, moves: entry.bestMoves, time: entry.bestTime });
+    });
+    return merged;
+}
+
+/**
+ * Une dos historiales de retos diarios. Para un mismo día se queda con la victoria;
+ * la racha vigente es la del historial con la victoria más reciente
+ * @param {Object} current - Historial local
+ * @param {Object} incoming - Historial importado
+ * @return {Object} - Historial combinado
+ */
+function mergeDaily(current, incoming) {
+    const a = { ...createEmptyDailyData(), ...current };
+    const b = { ...createEmptyDailyData(), ...incoming };
+
+    const results = { ...b.results };
+    Object.entries(a.results).forEach(([dateKey, result]) => {
+        if (!results[dateKey] || result.outcome === 'victoria') {
+            results[dateKey] = result;
+        }
+    });
+
+    const latest = (b.lastWin || '') > (a.lastWin || '') ? b : a;
+    return {
+        results,
+        streak: latest.streak,
+        bestStreak: Math.max(a.bestStreak, b.bestStreak),
+        lastWin: latest.lastWin
+    };
+}
+
+/**
+ * Une dos colecciones de parciales conservando el mejor tiempo de cada configuración
+ * @param {Object} current - Mejores marcas locales
+ * @param {Object} incoming - Mejores marcas importadas
+ * @return {Object} - Mejores marcas combinadas
+ */
+function mergeBestSplits(current, incoming) {
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([key, best]) => {
+        if (!merged[key] || best.time < merged[key].time) {
+            merged[key] = best;
+        }
+    });
+    return merged;
+}
+
+// Cómo se combina cada dato; los que no aparecen conservan el valor local si existe
+const MERGERS = {
+    leaderboards: mergeLeaderboards,
+    splits: mergeBestSplits,
+    statistics: mergeStatistics,
+    achievements: mergeAchievements,
+    campaign: mergeCampaign,
+    daily: mergeDaily
+};
+
+/**
+ * Combina los datos importados con los locales
+ * @param {Object} current - Datos locales por nombre (null si no hay)
+ * @param {Object} incoming - Datos importados por nombre
+ * @return {Object} - Datos combinados por nombre
+ */
+export function mergeProfileData(current, incoming) {
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([name, value]) => {
+        const local = current[name];
+        if (local === null || local === undefined) {
+            merged[name] = value;
+        } else if (MERGERS[name]) {
+            merged[name] = MERGERS[name](local, value);
+        }
+        // Temas, ajustes y partida guardada: se mantienen los de esta máquina
+    });
+    return merged;
+}
@@ -0,0 +1,170 @@
+/**
+ * Reproductor de partidas registradas (ver GameRecord.js).
+ * Controla el avance por los movimientos; el dibujado lo hace quien lo usa
+ * mediante las funciones onStep y onSeek.
+ */
+
+// Pausa entre movimientos si el registro no tiene marcas de tiempo (ms)
+const DEFAULT_STEP_DELAY = 700;
+const MIN_STEP_DELAY = 150;
+const MAX_STEP_DELAY = 2500;
+
+/**
+ * Clase que reproduce un registro de partida movimiento a movimiento
+ */
+export class ReplayPlayer {
+    /**
+     * Constructor de la clase ReplayPlayer
+     * @param {Object} record - Registro de partida validado
+     * @param {Object} callbacks - Funciones de dibujado
+     * @param {Function} callbacks.onStep - (move, forward) aplica o revierte un movimiento con animación
+     * @param {Function} callbacks.onSeek - (index) muestra la posición tras `index` movimientos, sin animación
+     * @param {Function} callbacks.onChange - () se llama cada vez que cambia la posición o el estado
+     */
+    constructor(record, { onStep, onSeek, onChange }) {
+        this.record = record;
+        this.moves = record.moves;
+        this.index = 0; // Número de movimientos aplicados
+        this.speed = 1;
+        this.isPlaying = false;
+        this.timeout = null;
+        this.onStep = onStep;
+        this.onSeek = onSeek;
+        this.onChange = onChange || (() => {});
+    }
+
+    /**
+     * Número total de movimientos del registro
+     * @return {number}
+     */
+    get length() {
+        return this.moves.length;
+    }
+
+    /**
+     * Inicia la reproducción automática
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        // Si ya estaba al final, empezar de nuevo
+        if (this.index >= this.length) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.scheduleNext();
+        this.onChange();
+    }
+
+    /**
+     * Detiene la reproducción automática
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        this.onChange();
+    }
+
+    /**
+     * Alterna entre reproducir y pausar
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Avanza un movimiento
+     * @return {boolean} - true si había movimiento que avanzar
+     */
+    stepForward() {
+        if (this.index >= this.length) return false;
+
+        this.onStep(this.moves[this.index], true);
+        this.index++;
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Retrocede un movimiento
+     * @return {boolean} - true si había movimiento que retroceder
+     */
+    stepBackward() {
+        if (this.index <= 0) return false;
+
+        this.index--;
+        this.onStep(this.moves[this.index], false);
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Salta a una posición de la línea de tiempo
+     * @param {number} index - Número de movimientos aplicados
+     */
+    seek(index) {
+        this.index = Math.max(0, Math.min(this.length, index));
+        this.onSeek(this.index);
+        this.onChange();
+    }
+
+    /**
+     * Cambia la velocidad de reproducción
+     * @param {number} speed - Multiplicador (1 = tiempo real)
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        this.onChange();
+    }
+
+    /**
+     * Detiene el reproductor y libera el temporizador
+     */
+    stop() {
+        this.isPlaying = false;
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+    }
+
+    /**
+     * Calcula la pausa antes del siguiente movimiento según las marcas de tiempo
+     * @return {number} - Milisegundos de espera
+     */
+    getNextDelay() {
+        const next = this.moves[this.index];
+        const previous = this.moves[this.index - 1];
+        let delay = DEFAULT_STEP_DELAY;
+
+        if (next && next.t && (!previous || previous.t <= next.t)) {
+            delay = next.t - (previous ? previous.t : 0);
+        }
+
+        return Math.min(MAX_STEP_DELAY, Math.max(MIN_STEP_DELAY, delay)) / this.speed;
+    }
+
+    /**
+     * Programa el siguiente paso de la reproducción automática
+     */
+    scheduleNext() {
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            if (!this.isPlaying) return;
+
+            if (this.stepForward() && this.index < this.length) {
+                this.scheduleNext();
+            } else {
+                this.pause();
+            }
+        }, this.getNextDelay());
+    }
+}
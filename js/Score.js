@@ -0,0 +1,46 @@
+/**
+ * Puntuación de una partida ganada, de 0 a 1000 puntos, y sus estrellas (1-3).
+ *
+ * - Movimientos: hasta 700 puntos, en proporción al par entre los movimientos hechos.
+ * - Tiempo: hasta 300 puntos, completos si se tarda como mucho SECONDS_PER_MOVE por movimiento del par.
+ * - Penalizaciones: cada pista, cada movimiento deshecho y cada intento inválido restan puntos.
+ */
+
+export const MAX_SCORE = 1000;
+
+const MOVES_POINTS = 700;
+const TIME_POINTS = 300;
+const SECONDS_PER_MOVE = 2;
+
+export const PENALTIES = {
+    hint: 50,
+    undo: 10,
+    invalid: 20
+};
+
+// Puntos mínimos para cada número de estrellas (de más a menos)
+const STAR_THRESHOLDS = [
+    { stars: 3, points: 900 },
+    { stars: 2, points: 600 }
+];
+
+/**
+ * Calcula la puntuación de una partida ganada
+ * @param {Object} result - Resultado de la partida
+ * @param {number} result.moves - Movimientos hechos
+ * @param {number} result.par - Movimientos mínimos desde la distribución inicial
+ * @param {number} result.time - Segundos de partida
+ * @param {number} result.hints - Pistas usadas
+ * @param {number} result.undos - Movimientos deshechos
+ * @param {number} result.invalidMoves - Intentos de movimiento inválidos
+ * @return {{points: number, stars: number}} - Puntos (0-1000) y estrellas (1-3)
+ */
+export function calculateScore({ moves, par, time, hints = 0, undos = 0, invalidMoves = 0 }) {
+    const movesPoints = MOVES_POINTS * Math.min(1, par / Math.max(moves, 1));
+    const timePoints = TIME_POINTS * Math.min(1, (par * SECONDS_PER_MOVE) / Math.max(time, 1));
+    const penalty = hints * PENALTIES.hint + undos * PENALTIES.undo + invalidMoves * PENALTIES.invalid;
+
+    const points = Math.max(0, Math.round(movesPoints + timePoints - penalty));
+    const threshold = STAR_THRESHOLDS.find(item => points >= item.points);
+    return { points, stars: threshold ? threshold.stars : 1 };
+}
@@ -0,0 +1,80 @@
+/**
+ * Tiempos parciales: el instante en que los k discos más grandes quedan colocados
+ * en su torre objetivo, para k = 1, 2, ... hasta el total de discos.
+ *
+ * Parcial: {disks, time} (time en ms desde el inicio de la partida)
+ * Mejor marca de una configuración: {time, splits, date} (time en segundos, el de la partida completa)
+ */
+
+/**
+ * Cuenta cuántos de los discos más grandes están ya en su torre objetivo
+ * (como los discos mayores siempre quedan debajo, forman la base de la torre final)
+ * @param {HanoiState} state - Estado actual
+ * @param {number|HanoiState} goal - Torre objetivo o distribución objetivo
+ * @return {number} - Número de discos colocados, empezando por el más grande
+ */
+export function countPlacedDisks(state, goal) {
+    let placed = 0;
+    for (let size = state.numDisks; size >= 1; size--) {
+        const goalPeg = typeof goal === 'number' ? goal : goal.findDisk(size);
+        if (state.findDisk(size) !== goalPeg) break;
+        placed++;
+    }
+    return placed;
+}
+
+/**
+ * Añade los parciales alcanzados por primera vez
+ * @param {Object[]} splits - Parciales registrados (no se modifican)
+ * @param {number} fromDisks - Discos ya colocados al empezar (no tienen parcial)
+ * @param {number} placed - Discos colocados ahora
+ * @param {number} time - Milisegundos de partida
+ * @return {Object[]} - Parciales con los nuevos al final
+ */
+export function addSplits(splits, fromDisks, placed, time) {
+    const last = splits.length > 0 ? splits[splits.length - 1].disks : fromDisks;
+    const added = [];
+    for (let disks = last + 1; disks <= placed; disks++) {
+        added.push({ disks, time });
+    }
+    return added.length > 0 ? [...splits, ...added] : splits;
+}
+
+/**
+ * Diferencia de un parcial con el mismo parcial de la mejor marca
+ * @param {Object} split - Parcial ({disks, time})
+ * @param {Object|null} best - Mejor marca ({time, splits})
+ * @return {number|null} - Milisegundos de diferencia (negativo si es más rápido), o null si no hay con qué comparar
+ */
+export function getSplitDelta(split, best) {
+    const bestSplit = best && best.splits.find(item => item.disks === split.disks);
+    return bestSplit ? split.time - bestSplit.time : null;
+}
+
+/**
+ * Guarda los parciales de una victoria si mejoran el tiempo total de su configuración
+ * @param {Object} bests - Mejores marcas por clave (no se modifican)
+ * @param {string} key - Clave de la configuración (la de la clasificación)
+ * @param {Object} run - Partida ganada ({time, splits})
+ * @return {{bests: Object, improved: boolean}} - Mejores marcas nuevas y si se ha batido la anterior
+ */
+export function updateBestSplits(bests, key, run) {
+    const best = bests[key];
+    if (best && best.time <= run.time) {
+        return { bests, improved: false };
+    }
+    return {
+        bests: { ...bests, [key]: { time: run.time, splits: run.splits, date: new Date().toISOString() } },
+        improved: true
+    };
+}
+
+/**
+ * Formatea la diferencia con la mejor marca
+ * @param {number} ms - Diferencia en milisegundos
+ * @return {string} - Por ejemplo "−1.25" o "+0.40"
+ */
+export function formatSplitDelta(ms) {
+    const sign = ms < 0 ? '−' : '+';
+    return `${sign}${(Math.abs(ms) / 1000).toFixed(2)}`;
+}
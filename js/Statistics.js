@@ -0,0 +1,109 @@
+/**
+ * Estadísticas: registro de las partidas terminadas, abandonadas o resueltas automáticamente y su resumen.
+ *
+ * Entrada del registro:
+ * {date, mode, variant, disks, pegs, outcome, moves, par, time, efficiency}
+ * - outcome: 'victoria', 'derrota', 'abandonada' o 'resuelta' (terminada con la solución automática)
+ * - efficiency: par / movimientos (de 0 a 1), solo en las victorias; null en el resto
+ */
+
+// Resultados posibles de una partida del registro
+export const GAME_OUTCOMES = ['victoria', 'derrota', 'abandonada', 'resuelta'];
+
+// Partidas que se conservan en el registro (las más antiguas se descartan)
+export const MAX_LOGGED_GAMES = 500;
+
+// Victorias que se promedian en cada punto de la gráfica de eficiencia
+const EFFICIENCY_WINDOW = 5;
+
+/**
+ * Crea una entrada del registro de partidas
+ * @param {Object} game - Datos de la partida ({mode, variant, disks, pegs, outcome, moves, par, time})
+ * @param {Date} date - Fin de la partida
+ * @return {Object} - Entrada del registro
+ */
+export function createGameLogEntry(game, date = new Date()) {
+    const efficiency = game.outcome === 'victoria' && game.moves > 0
+        ? Math.min(1, game.par / game.moves)
+        : null;
+
+    return {
+        date: date.toISOString(),
+        mode: game.mode,
+        variant: game.variant,
+        disks: game.disks,
+        pegs: game.pegs,
+        outcome: game.outcome,
+        moves: game.moves,
+        par: game.par,
+        time: game.time,
+        efficiency
+    };
+}
+
+/**
+ * Añade una partida al registro
+ * @param {Object[]} log - Registro de partidas (no se modifica)
+ * @param {Object} entry - Entrada a añadir
+ * @return {Object[]} - Nuevo registro, con como mucho MAX_LOGGED_GAMES partidas
+ */
+export function addGameLogEntry(log, entry) {
+    return [...log, entry].slice(-MAX_LOGGED_GAMES);
+}
+
+/**
+ * Media de una lista de números
+ * @param {number[]} values - Valores
+ * @return {number|null} - Media o null si no hay valores
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Resume el registro de partidas
+ * @param {Object[]} log - Registro de partidas, de la más antigua a la más reciente
+ * @return {Object} - Resumen ({played, wins, losses, abandoned, solved, winRate, averageEfficiency,
+ *                    byMode: {modo: {played, wins, winRate}}, bestWinStreak, efficiencyTrend})
+ */
+export function summarizeStatistics(log) {
+    const wins = log.filter(game => game.outcome === 'victoria');
+
+    const byMode = {};
+    log.forEach(game => {
+        const stats = byMode[game.mode] || { played: 0, wins: 0, winRate: 0 };
+        stats.played++;
+        if (game.outcome === 'victoria') {
+            stats.wins++;
+        }
+        stats.winRate = stats.wins / stats.played;
+        byMode[game.mode] = stats;
+    });
+
+    // Mejor racha de victorias seguidas (una derrota, un abandono o la solución automática la cortan)
+    let streak = 0;
+    let bestWinStreak = 0;
+    log.forEach(game => {
+        streak = game.outcome === 'victoria' ? streak + 1 : 0;
+        bestWinStreak = Math.max(bestWinStreak, streak);
+    });
+
+    // Media móvil de la eficiencia de las victorias, para ver la evolución
+    const efficiencies = wins.map(game => game.efficiency);
+    const efficiencyTrend = efficiencies.map((value, index) =>
+        average(efficiencies.slice(Math.max(0, index - EFFICIENCY_WINDOW + 1), index + 1))
+    );
+
+    return {
+        played: log.length,
+        wins: wins.length,
+        losses: log.filter(game => game.outcome === 'derrota').length,
+        abandoned: log.filter(game => game.outcome === 'abandonada').length,
+        solved: log.filter(game => game.outcome === 'resuelta').length,
+        winRate: log.length > 0 ? wins.length / log.length : 0,
+        averageEfficiency: average(efficiencies),
+        byMode,
+        bestWinStreak,
+        efficiencyTrend
+    };
+}
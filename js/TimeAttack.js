@@ -0,0 +1,51 @@
+/**
+ * Contrarreloj: tiempo disponible, bonificaciones, penalizaciones y puntuación final.
+ *
+ * - El tiempo inicial depende del ritmo elegido (segundos por disco).
+ * - Cada movimiento que sigue un camino óptimo hacia el objetivo suma BONUS_SECONDS
+ *   (solo si el tablero es lo bastante pequeño para conocer ese camino con exactitud).
+ * - Cada intento de movimiento inválido resta PENALTY_SECONDS.
+ * - Al ganar, cada segundo que sobra vale POINTS_PER_SECOND puntos.
+ */
+
+export const TIME_BUDGETS = [
+    { id: 'relajado', label: 'Relajado', secondsPerDisk: 30 },
+    { id: 'normal', label: 'Normal', secondsPerDisk: 20 },
+    { id: 'rapido', label: 'Rápido', secondsPerDisk: 12 },
+    { id: 'relampago', label: 'Relámpago', secondsPerDisk: 6 }
+];
+
+export const DEFAULT_TIME_BUDGET = 'normal';
+
+export const BONUS_SECONDS = 1;
+export const PENALTY_SECONDS = 5;
+const POINTS_PER_SECOND = 10;
+
+/**
+ * Obtiene un ritmo de contrarreloj por su identificador
+ * @param {string} id - Identificador del ritmo
+ * @return {Object} - Ritmo ({id, label, secondsPerDisk}); el normal si no existe
+ */
+export function getTimeBudget(id) {
+    return TIME_BUDGETS.find(budget => budget.id === id) ||
+        TIME_BUDGETS.find(budget => budget.id === DEFAULT_TIME_BUDGET);
+}
+
+/**
+ * Calcula el tiempo inicial de una partida contrarreloj
+ * @param {string} id - Identificador del ritmo
+ * @param {number} numDisks - Número de discos
+ * @return {number} - Segundos disponibles
+ */
+export function calculateTimeLimit(id, numDisks) {
+    return getTimeBudget(id).secondsPerDisk * numDisks;
+}
+
+/**
+ * Puntuación de contrarreloj según el tiempo que sobra al ganar
+ * @param {number} timeLeft - Segundos restantes
+ * @return {number} - Puntos
+ */
+export function calculateTimeAttackScore(timeLeft) {
+    return Math.max(0, Math.round(timeLeft * POINTS_PER_SECOND));
+}
@@ -524,8 +524,9 @@ export class Tower {
     /**
      * Añade un disco a la torre
      * @param {Disk} disk - Disco a añadir
+     * @param {boolean} animate - Si el disco debe desplazarse con animación
      */
-    addDisk(disk) {
+    addDisk(disk, animate = true) {
         // Calcular la posición Y del disco usando la función importada
         const diskHeight = 0.8;
         const y = calculateDiskY(this.disks.length, diskHeight, this.baseMesh.geometry.parameters.height);
@@ -535,7 +536,7 @@ export class Tower {
             this.position.x,
             y,
             this.position.z,
-            true // Animar
+            animate
         );
         
         // Actualizar referencias
@@ -569,20 +570,6 @@ export class Tower {
         return this.disks[this.disks.length - 1];
     }
 
-    /**
-     * Verifica si se puede añadir un disco a la torre
-     * @param {Disk} disk - Disco a verificar
-     * @return {boolean} - true si se puede añadir
-     */
-    canAddDisk(disk) {
-        if (this.disks.length === 0) {
-            return true;
-        }
-        
-        const topDisk = this.getTopDisk();
-        return disk.size < topDisk.size;
-    }
-
     /**
      * Resalta la torre para indicar que es un objetivo válido
      * @param {boolean} highlight - true para resaltar, false para quitar resaltado
@@ -630,25 +617,6 @@ export class Tower {
         });
     }
 
-    /**
-     * Verifica si todos los discos están en orden correcto
-     * @param {number} totalDisks - Número total de discos en el juego
-     * @return {boolean} - true si todos los discos están en orden correcto
-     */
-    isComplete(totalDisks) {
-        if (this.disks.length !== totalDisks) {
-            return false;
-        }
-        
-        for (let i = 0; i < totalDisks; i++) {
-            if (this.disks[i].size !== totalDisks - i) {
-                return false;
-            }
-        }
-        
-        return true;
-    }
-    
     /**
      * Actualiza las animaciones de las decoraciones
      * @param {number} time - Tiempo actual en milisegundos
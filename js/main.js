@@ -3,6 +3,7 @@
  */
 
 import { Game } from './Game.js';
+import { saveData } from './storage.js';
 
 // Configuración global (si es necesaria)
 const SOUND_DIR = 'assets/sounds';
@@ -93,7 +94,7 @@ function showWebGLError() {
 
 /**
  * Configura los eventos para mostrar/ocultar las instrucciones
- * @param {string|null} hasPlayedBefore - Valor de almacenamiento local
+ * @param {boolean|null} hasPlayedBefore - Valor guardado (ver loadData('instructions'))
  */
 function setupInstructionsEvents(hasPlayedBefore) {
     const instructionsOverlay = document.getElementById('instructions-overlay');
@@ -102,7 +103,7 @@ function setupInstructionsEvents(hasPlayedBefore) {
     // Mostrar instrucciones si es la primera vez
     if (!hasPlayedBefore) {
         instructionsOverlay.classList.remove('hidden');
-        localStorage.setItem('hanoiHasPlayed', 'true');
+        saveData('instructions', true);
     }
     
     // Botón para cerrar instrucciones
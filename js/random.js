@@ -0,0 +1,70 @@
+/**
+ * Generador de números pseudoaleatorios con semilla.
+ * Con la misma semilla se obtiene siempre la misma secuencia, de modo que
+ * varios jugadores pueden enfrentarse al mismo tablero.
+ */
+
+/**
+ * Crea un generador pseudoaleatorio (mulberry32)
+ * @param {number} seed - Semilla (entero de 32 bits sin signo)
+ * @return {Function} - Función que devuelve números en [0, 1)
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Genera una semilla nueva al azar
+ * @return {number} - Semilla entre 1 y 999999
+ */
+export function generateSeed() {
+    return 1 + Math.floor(Math.random() * 999999);
+}
+
+/**
+ * Convierte el texto introducido por el jugador en una semilla.
+ * Los números se usan tal cual; cualquier otro texto se transforma con un hash.
+ * @param {string} text - Texto de la semilla
+ * @return {number|null} - Semilla o null si el texto está vacío
+ */
+export function parseSeed(text) {
+    const value = String(text).trim();
+    if (value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value) >>> 0;
+    }
+    return hashString(value);
+}
+
+/**
+ * Calcula un hash de 32 bits de una cadena (FNV-1a)
+ * @param {string} text - Texto a transformar
+ * @return {number} - Hash sin signo
+ */
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Obtiene un entero aleatorio en [0, max)
+ * @param {Function} random - Generador creado con createRandom
+ * @param {number} max - Límite superior (excluido)
+ * @return {number} - Entero aleatorio
+ */
+export function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
@@ -0,0 +1,605 @@
+/**
+ * Algoritmos de resolución de la Torre de Hanoi.
+ * Trabajan con índices de torre y no dependen de Three.js ni del DOM.
+ */
+
+import { getFrameStewartSplit } from './utils.js';
+import { DEFAULT_VARIANT, isDirectionAllowed } from './variants.js';
+
+/**
+ * Genera recursivamente los pasos para resolver la Torre de Hanoi clásica (3 torres)
+ * @param {number} n - Número de discos a mover
+ * @param {number} fromTower - Índice de la torre origen
+ * @param {number} toTower - Índice de la torre destino
+ * @param {number} auxTower - Índice de la torre auxiliar
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+export function generateHanoiSolution(n, fromTower, toTower, auxTower, steps) {
+    if (n <= 0) {
+        return;
+    }
+
+    // Mover n-1 discos de la torre origen a la auxiliar
+    generateHanoiSolution(n - 1, fromTower, auxTower, toTower, steps);
+
+    // Mover el disco restante de la torre origen a la destino
+    steps.push({ fromTower, toTower });
+
+    // Mover n-1 discos de la torre auxiliar a la destino
+    generateHanoiSolution(n - 1, auxTower, toTower, fromTower, steps);
+}
+
+/**
+ * Genera los pasos de Frame–Stewart para mover n discos usando varias torres auxiliares
+ * @param {number} n - Número de discos a mover
+ * @param {number} fromTower - Índice de la torre origen
+ * @param {number} toTower - Índice de la torre destino
+ * @param {number[]} auxTowers - Índices de las torres auxiliares libres
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+export function generateFrameStewartSolution(n, fromTower, toTower, auxTowers, steps) {
+    if (n <= 0) {
+        return;
+    }
+
+    // Con una sola auxiliar se reduce al algoritmo clásico
+    if (auxTowers.length === 1) {
+        generateHanoiSolution(n, fromTower, toTower, auxTowers[0], steps);
+        return;
+    }
+
+    if (n === 1) {
+        steps.push({ fromTower, toTower });
+        return;
+    }
+
+    // Apartar los t discos superiores en una auxiliar usando todas las torres
+    const t = getFrameStewartSplit(n, auxTowers.length + 2);
+    const [parking, ...rest] = auxTowers;
+    generateFrameStewartSolution(t, fromTower, parking, [toTower, ...rest], steps);
+
+    // Mover los n-t discos restantes sin usar la torre ocupada
+    generateFrameStewartSolution(n - t, fromTower, toTower, rest, steps);
+
+    // Colocar los t discos apartados sobre la torre destino
+    generateFrameStewartSolution(t, parking, toTower, [fromTower, ...rest], steps);
+}
+
+/**
+ * Genera los pasos óptimos de la variante cíclica (3 torres, solo en sentido horario)
+ * @param {number} n - Número de discos a mover
+ * @param {number} fromTower - Índice de la torre origen
+ * @param {number} toTower - Índice de la torre destino
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+export function generateCyclicSolution(n, fromTower, toTower, steps) {
+    if (n <= 0 || fromTower === toTower) {
+        return;
+    }
+
+    const thirdTower = 3 - fromTower - toTower;
+    if (toTower === (fromTower + 1) % 3) {
+        // Un paso en sentido horario: apartar los n-1 discos en la tercera torre
+        generateCyclicSolution(n - 1, fromTower, thirdTower, steps);
+        steps.push({ fromTower, toTower });
+        generateCyclicSolution(n - 1, thirdTower, toTower, steps);
+    } else {
+        // Dos pasos: el disco n pasa por la tercera torre mientras los demás le dejan sitio
+        generateCyclicSolution(n - 1, fromTower, toTower, steps);
+        steps.push({ fromTower, toTower: thirdTower });
+        generateCyclicSolution(n - 1, toTower, fromTower, steps);
+        steps.push({ fromTower: thirdTower, toTower });
+        generateCyclicSolution(n - 1, fromTower, toTower, steps);
+    }
+}
+
+/**
+ * Genera los pasos óptimos de la variante adyacente (3 torres, sin movimientos
+ * directos entre las torres exteriores). De un extremo a otro hacen falta 3^n − 1 pasos.
+ * @param {number} n - Número de discos a mover
+ * @param {number} fromTower - Índice de la torre origen
+ * @param {number} toTower - Índice de la torre destino
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+export function generateAdjacentSolution(n, fromTower, toTower, steps) {
+    if (n <= 0 || fromTower === toTower) {
+        return;
+    }
+
+    const thirdTower = 3 - fromTower - toTower;
+    if (Math.abs(fromTower - toTower) === 1) {
+        // Torres contiguas: apartar los n-1 discos en la otra torre
+        generateAdjacentSolution(n - 1, fromTower, thirdTower, steps);
+        steps.push({ fromTower, toTower });
+        generateAdjacentSolution(n - 1, thirdTower, toTower, steps);
+    } else {
+        // De un extremo a otro: el disco n pasa por la torre central
+        generateAdjacentSolution(n - 1, fromTower, toTower, steps);
+        steps.push({ fromTower, toTower: thirdTower });
+        generateAdjacentSolution(n - 1, toTower, fromTower, steps);
+        steps.push({ fromTower: thirdTower, toTower });
+        generateAdjacentSolution(n - 1, fromTower, toTower, steps);
+    }
+}
+
+/**
+ * Genera la solución óptima para mover una pila completa entre torres
+ * (Frame–Stewart en la variante clásica)
+ * @param {number} numDisks - Número de discos
+ * @param {number} numPegs - Número de torres
+ * @param {number} fromTower - Torre donde está la pila
+ * @param {number} toTower - Torre destino
+ * @param {string} variant - Variante de reglas
+ * @return {Array} - Lista de pasos ({fromTower, toTower})
+ */
+export function solveTower(numDisks, numPegs, fromTower = 0, toTower = numPegs - 1, variant = DEFAULT_VARIANT) {
+    if (variant === 'ciclica') {
+        const cyclicSteps = [];
+        generateCyclicSolution(numDisks, fromTower, toTower, cyclicSteps);
+        return cyclicSteps;
+    }
+    if (variant === 'adyacente') {
+        const adjacentSteps = [];
+        generateAdjacentSolution(numDisks, fromTower, toTower, adjacentSteps);
+        return adjacentSteps;
+    }
+
+    const auxTowers = [];
+    for (let i = 0; i < numPegs; i++) {
+        if (i !== fromTower && i !== toTower) {
+            auxTowers.push(i);
+        }
+    }
+
+    const steps = [];
+    generateFrameStewartSolution(numDisks, fromTower, toTower, auxTowers, steps);
+    return steps;
+}
+
+// Tamaño máximo del espacio de estados que se explora con búsqueda en anchura
+export const MAX_SEARCH_STATES = 1000000;
+
+/**
+ * Calcula la secuencia de movimientos desde una distribución cualquiera
+ * hasta el objetivo: todos los discos en una torre o una distribución concreta.
+ * Es óptima siempre que el espacio de estados (torres^discos) no supere
+ * MAX_SEARCH_STATES; en caso contrario se usa una aproximación recursiva
+ * (basada en Frame–Stewart en la variante clásica).
+ * @param {HanoiState} state - Estado de partida (no se modifica)
+ * @param {number|HanoiState} goal - Torre objetivo o distribución objetivo (por defecto la última torre)
+ * @return {Array} - Lista de pasos ({fromTower, toTower})
+ */
+export function solveFromState(state, goal = state.numPegs - 1) {
+    const goalPositions = getGoalPositions(state, goal);
+    const steps = searchSolution(state, goalPositions, MAX_SEARCH_STATES);
+    if (steps) {
+        return steps;
+    }
+
+    const positions = getDiskPositions(state);
+    const fallbackSteps = [];
+    const stackPeg = getStackPeg(goalPositions);
+    if (stackPeg !== -1) {
+        gather(positions, state.numDisks, stackPeg, state.numPegs, state.variant, fallbackSteps);
+    } else {
+        placeDisks(positions, goalPositions, state.numDisks, state.numPegs, state.variant, fallbackSteps);
+    }
+    return fallbackSteps;
+}
+
+/**
+ * Calcula de una vez los movimientos mínimos hasta el objetivo desde todas las distribuciones,
+ * con una búsqueda en anchura hacia atrás que parte del objetivo.
+ * Solo es posible cuando el espacio de estados no supera MAX_SEARCH_STATES,
+ * que es cuando solveFromState da siempre la solución óptima.
+ * @param {HanoiState} state - Estado de la partida (fija discos, torres y variante)
+ * @param {number|HanoiState} goal - Torre objetivo o distribución objetivo (por defecto la última torre)
+ * @return {Function|null} - Función que da la distancia de un estado al objetivo (-1 si no se puede llegar),
+ *                           o null si el espacio de estados es demasiado grande
+ */
+export function createGoalDistances(state, goal = state.numPegs - 1) {
+    const numDisks = state.numDisks;
+    const numPegs = state.numPegs;
+    const totalStates = Math.pow(numPegs, numDisks);
+    if (totalStates > MAX_SEARCH_STATES) {
+        return null;
+    }
+
+    const weights = [];
+    for (let size = 1; size <= numDisks; size++) {
+        weights[size] = Math.pow(numPegs, size - 1);
+    }
+    const encode = positions => {
+        let code = 0;
+        for (let size = 1; size <= numDisks; size++) {
+            code += positions[size] * weights[size];
+        }
+        return code;
+    };
+
+    // Hacia atrás se recorren los movimientos al revés: de "to" a "from"
+    const reversed = [];
+    for (let from = 0; from < numPegs; from++) {
+        reversed[from] = [];
+        for (let to = 0; to < numPegs; to++) {
+            reversed[from][to] = to !== from && isDirectionAllowed(state.variant, to, from, numPegs);
+        }
+    }
+
+    const distances = new Int32Array(totalStates).fill(-1);
+    const queue = new Int32Array(totalStates);
+    let head = 0;
+    let tail = 0;
+
+    const target = encode(getGoalPositions(state, goal));
+    distances[target] = 0;
+    queue[tail++] = target;
+
+    const positions = new Array(numDisks + 1);
+    const tops = new Array(numPegs);
+
+    while (head < tail) {
+        const code = queue[head++];
+
+        let rest = code;
+        for (let size = 1; size <= numDisks; size++) {
+            positions[size] = rest % numPegs;
+            rest = Math.floor(rest / numPegs);
+        }
+
+        tops.fill(Infinity);
+        for (let size = numDisks; size >= 1; size--) {
+            tops[positions[size]] = size;
+        }
+
+        for (let from = 0; from < numPegs; from++) {
+            const disk = tops[from];
+            if (disk === Infinity) continue;
+
+            for (let to = 0; to < numPegs; to++) {
+                if (!reversed[from][to] || tops[to] < disk) continue;
+
+                const previous = code + (to - from) * weights[disk];
+                if (distances[previous] === -1) {
+                    distances[previous] = distances[code] + 1;
+                    queue[tail++] = previous;
+                }
+            }
+        }
+    }
+
+    return current => distances[encode(getDiskPositions(current))];
+}
+
+/**
+ * Calcula el par de una distribución: movimientos mínimos hasta el objetivo
+ * @param {HanoiState} state - Estado de partida
+ * @param {number|HanoiState} goal - Torre objetivo o distribución objetivo (por defecto la última torre)
+ * @return {number} - Número de movimientos
+ */
+export function calculatePar(state, goal = state.numPegs - 1) {
+    // Una pila completa que debe acabar apilada en otra torre tiene solución directa, sin búsqueda
+    const goalPeg = getStackPeg(getGoalPositions(state, goal));
+    const stackPeg = state.pegs.findIndex(peg => peg.length === state.numDisks);
+    if (goalPeg !== -1 && stackPeg !== -1 && stackPeg !== goalPeg) {
+        return solveTower(state.numDisks, state.numPegs, stackPeg, goalPeg, state.variant).length;
+    }
+    return solveFromState(state, goal).length;
+}
+
+/**
+ * Obtiene la torre final de cada disco según el objetivo
+ * @param {HanoiState} state - Estado de partida
+ * @param {number|HanoiState} goal - Torre objetivo o distribución objetivo
+ * @return {number[]} - goalPositions[tamaño] = índice de torre
+ */
+function getGoalPositions(state, goal) {
+    if (typeof goal === 'number') {
+        return new Array(state.numDisks + 1).fill(goal);
+    }
+    return getDiskPositions(goal);
+}
+
+/**
+ * Indica si el objetivo es una sola pila
+ * @param {number[]} goalPositions - Torre final de cada disco
+ * @return {number} - Torre de la pila o -1 si los discos acaban repartidos
+ */
+function getStackPeg(goalPositions) {
+    const peg = goalPositions[1];
+    return goalPositions.slice(1).every(position => position === peg) ? peg : -1;
+}
+
+/**
+ * Obtiene la torre de cada disco
+ * @param {HanoiState} state - Estado a analizar
+ * @return {number[]} - positions[tamaño] = índice de torre (la posición 0 no se usa)
+ */
+function getDiskPositions(state) {
+    const positions = new Array(state.numDisks + 1).fill(0);
+    state.pegs.forEach((peg, pegIndex) => {
+        peg.forEach(size => {
+            positions[size] = pegIndex;
+        });
+    });
+    return positions;
+}
+
+/**
+ * Búsqueda en anchura del camino más corto entre dos distribuciones.
+ * Cada estado se codifica como un número en base "torres" con un dígito por disco.
+ * @param {HanoiState} state - Estado de partida
+ * @param {number[]} goalPositions - Torre final de cada disco (índice = tamaño)
+ * @param {number} maxStates - Límite del espacio de estados
+ * @return {Array|null} - Pasos de la solución o null si el espacio es demasiado grande o no hay camino
+ */
+function searchSolution(state, goalPositions, maxStates) {
+    const numDisks = state.numDisks;
+    const numPegs = state.numPegs;
+    const totalStates = Math.pow(numPegs, numDisks);
+    if (totalStates > maxStates) {
+        return null;
+    }
+
+    // Peso de cada disco en la codificación
+    const weights = [];
+    for (let size = 1; size <= numDisks; size++) {
+        weights[size] = Math.pow(numPegs, size - 1);
+    }
+    const encode = positions => {
+        let code = 0;
+        for (let size = 1; size <= numDisks; size++) {
+            code += positions[size] * weights[size];
+        }
+        return code;
+    };
+
+    const start = encode(getDiskPositions(state));
+    const target = encode(goalPositions);
+
+    const parent = new Int32Array(totalStates).fill(-1);
+    const moveFrom = new Uint8Array(totalStates);
+    const moveTo = new Uint8Array(totalStates);
+    const queue = new Int32Array(totalStates);
+    let head = 0;
+    let tail = 0;
+
+    parent[start] = start;
+    queue[tail++] = start;
+
+    const positions = new Array(numDisks + 1);
+    const tops = new Array(numPegs);
+
+    // Direcciones permitidas por la variante de reglas
+    const allowed = [];
+    for (let from = 0; from < numPegs; from++) {
+        allowed[from] = [];
+        for (let to = 0; to < numPegs; to++) {
+            allowed[from][to] = to !== from && isDirectionAllowed(state.variant, from, to, numPegs);
+        }
+    }
+
+    while (head < tail && parent[target] === -1) {
+        const code = queue[head++];
+
+        // Decodificar la torre de cada disco
+        let rest = code;
+        for (let size = 1; size <= numDisks; size++) {
+            positions[size] = rest % numPegs;
+            rest = Math.floor(rest / numPegs);
+        }
+
+        // Disco superior de cada torre (el más pequeño que contiene)
+        tops.fill(Infinity);
+        for (let size = numDisks; size >= 1; size--) {
+            tops[positions[size]] = size;
+        }
+
+        for (let from = 0; from < numPegs; from++) {
+            const disk = tops[from];
+            if (disk === Infinity) continue;
+
+            for (let to = 0; to < numPegs; to++) {
+                if (!allowed[from][to] || tops[to] < disk) continue;
+
+                const next = code + (to - from) * weights[disk];
+                if (parent[next] === -1) {
+                    parent[next] = code;
+                    moveFrom[next] = from;
+                    moveTo[next] = to;
+                    queue[tail++] = next;
+                }
+            }
+        }
+    }
+
+    // Objetivo inalcanzable con estas reglas
+    if (parent[target] === -1) {
+        return null;
+    }
+
+    // Reconstruir el camino desde el objetivo hasta el inicio
+    const steps = [];
+    for (let code = target; code !== start; code = parent[code]) {
+        steps.push({ fromTower: moveFrom[code], toTower: moveTo[code] });
+    }
+    return steps.reverse();
+}
+
+/**
+ * Reúne los discos 1..n en una torre con el algoritmo de la variante de reglas
+ * @param {number[]} positions - Torre de cada disco (se actualiza con los movimientos)
+ * @param {number} n - Disco más grande a reunir
+ * @param {number} targetPeg - Torre donde reunir los discos
+ * @param {number} numPegs - Número de torres
+ * @param {string} variant - Variante de reglas
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+function gather(positions, n, targetPeg, numPegs, variant, steps) {
+    if (variant === 'ciclica') {
+        gatherCyclic(positions, n, targetPeg, steps);
+    } else if (variant === 'adyacente') {
+        gatherAdjacent(positions, n, targetPeg, steps);
+    } else {
+        gatherOnPeg(positions, n, targetPeg, numPegs, steps);
+    }
+}
+
+/**
+ * Lleva cada disco a su torre final, del más grande al más pequeño.
+ * Antes de mover un disco se apartan los menores para dejarle paso.
+ * @param {number[]} positions - Torre de cada disco (se actualiza con los movimientos)
+ * @param {number[]} goalPositions - Torre final de cada disco
+ * @param {number} n - Disco más grande a colocar
+ * @param {number} numPegs - Número de torres
+ * @param {string} variant - Variante de reglas
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+function placeDisks(positions, goalPositions, n, numPegs, variant, steps) {
+    for (let size = n; size >= 1; size--) {
+        const sourcePeg = positions[size];
+        const targetPeg = goalPositions[size];
+        if (sourcePeg === targetPeg) continue;
+
+        if (isDirectionAllowed(variant, sourcePeg, targetPeg, numPegs)) {
+            // Apartar los discos menores en una torre que no sea ni origen ni destino
+            let auxPeg = 0;
+            while (auxPeg === sourcePeg || auxPeg === targetPeg) {
+                auxPeg++;
+            }
+            gather(positions, size - 1, auxPeg, numPegs, variant, steps);
+            steps.push({ fromTower: sourcePeg, toTower: targetPeg });
+        } else {
+            // Variantes de 3 torres: el disco pasa por la tercera torre
+            const thirdPeg = 3 - sourcePeg - targetPeg;
+            gather(positions, size - 1, targetPeg, numPegs, variant, steps);
+            steps.push({ fromTower: sourcePeg, toTower: thirdPeg });
+            gather(positions, size - 1, sourcePeg, numPegs, variant, steps);
+            steps.push({ fromTower: thirdPeg, toTower: targetPeg });
+        }
+        positions[size] = targetPeg;
+    }
+}
+
+/**
+ * Reúne los discos 1..n en una torre partiendo de una distribución cualquiera.
+ * Se usa cuando el espacio de estados es demasiado grande para la búsqueda exacta.
+ * @param {number[]} positions - Torre de cada disco (se actualiza con los movimientos)
+ * @param {number} n - Disco más grande a reunir
+ * @param {number} targetPeg - Torre donde reunir los discos
+ * @param {number} numPegs - Número de torres
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+function gatherOnPeg(positions, n, targetPeg, numPegs, steps) {
+    if (n <= 0) {
+        return;
+    }
+
+    const sourcePeg = positions[n];
+    if (sourcePeg === targetPeg) {
+        gatherOnPeg(positions, n - 1, targetPeg, numPegs, steps);
+        return;
+    }
+
+    // Si los discos 1..n ya forman una pila, basta con Frame–Stewart
+    if (positions.slice(1, n + 1).every(peg => peg === sourcePeg)) {
+        const freePegs = [];
+        for (let i = 0; i < numPegs; i++) {
+            if (i !== sourcePeg && i !== targetPeg) {
+                freePegs.push(i);
+            }
+        }
+        generateFrameStewartSolution(n, sourcePeg, targetPeg, freePegs, steps);
+        positions.fill(targetPeg, 1, n + 1);
+        return;
+    }
+
+    // Apartar los discos menores en una torre auxiliar
+    let auxPeg = 0;
+    while (auxPeg === sourcePeg || auxPeg === targetPeg) {
+        auxPeg++;
+    }
+    gatherOnPeg(positions, n - 1, auxPeg, numPegs, steps);
+
+    // Mover el disco n a su destino
+    steps.push({ fromTower: sourcePeg, toTower: targetPeg });
+    positions[n] = targetPeg;
+
+    // Llevar la pila apartada encima usando todas las torres libres
+    const freePegs = [];
+    for (let i = 0; i < numPegs; i++) {
+        if (i !== auxPeg && i !== targetPeg) {
+            freePegs.push(i);
+        }
+    }
+    generateFrameStewartSolution(n - 1, auxPeg, targetPeg, freePegs, steps);
+    positions.fill(targetPeg, 1, n);
+}
+
+/**
+ * Reúne los discos 1..n en una torre respetando la variante cíclica (3 torres).
+ * Equivale a gatherOnPeg cuando la búsqueda exacta no es posible.
+ * @param {number[]} positions - Torre de cada disco (se actualiza con los movimientos)
+ * @param {number} n - Disco más grande a reunir
+ * @param {number} targetPeg - Torre donde reunir los discos
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+function gatherCyclic(positions, n, targetPeg, steps) {
+    if (n <= 0) {
+        return;
+    }
+
+    const sourcePeg = positions[n];
+    if (sourcePeg === targetPeg) {
+        gatherCyclic(positions, n - 1, targetPeg, steps);
+        return;
+    }
+
+    const thirdPeg = 3 - sourcePeg - targetPeg;
+    if (targetPeg === (sourcePeg + 1) % 3) {
+        gatherCyclic(positions, n - 1, thirdPeg, steps);
+        steps.push({ fromTower: sourcePeg, toTower: targetPeg });
+        generateCyclicSolution(n - 1, thirdPeg, targetPeg, steps);
+    } else {
+        gatherCyclic(positions, n - 1, targetPeg, steps);
+        steps.push({ fromTower: sourcePeg, toTower: thirdPeg });
+        generateCyclicSolution(n - 1, targetPeg, sourcePeg, steps);
+        steps.push({ fromTower: thirdPeg, toTower: targetPeg });
+        generateCyclicSolution(n - 1, sourcePeg, targetPeg, steps);
+    }
+    positions.fill(targetPeg, 1, n + 1);
+}
+
+/**
+ * Reúne los discos 1..n en una torre respetando la variante adyacente (3 torres).
+ * Equivale a gatherOnPeg cuando la búsqueda exacta no es posible.
+ * @param {number[]} positions - Torre de cada disco (se actualiza con los movimientos)
+ * @param {number} n - Disco más grande a reunir
+ * @param {number} targetPeg - Torre donde reunir los discos
+ * @param {Array} steps - Array donde se almacenarán los pasos
+ */
+function gatherAdjacent(positions, n, targetPeg, steps) {
+    if (n <= 0) {
+        return;
+    }
+
+    const sourcePeg = positions[n];
+    if (sourcePeg === targetPeg) {
+        gatherAdjacent(positions, n - 1, targetPeg, steps);
+        return;
+    }
+
+    const thirdPeg = 3 - sourcePeg - targetPeg;
+    if (Math.abs(sourcePeg - targetPeg) === 1) {
+        gatherAdjacent(positions, n - 1, thirdPeg, steps);
+        steps.push({ fromTower: sourcePeg, toTower: targetPeg });
+        generateAdjacentSolution(n - 1, thirdPeg, targetPeg, steps);
+    } else {
+        gatherAdjacent(positions, n - 1, targetPeg, steps);
+        steps.push({ fromTower: sourcePeg, toTower: thirdPeg });
+        generateAdjacentSolution(n - 1, targetPeg, sourcePeg, steps);
+        steps.push({ fromTower: thirdPeg, toTower: targetPeg });
+        generateAdjacentSolution(n - 1, sourcePeg, targetPeg, steps);
+    }
+    positions.fill(targetPeg, 1, n + 1);
+}
@@ -0,0 +1,319 @@
+/**
+ * Almacenamiento persistente del juego.
+ *
+ * Cada dato se guarda en una clave con espacio de nombres ("torre-hanoi:<nombre>")
+ * junto a la versión de su esquema: { "version": 1, "data": ... }.
+ * Al cargar un dato de una versión anterior se aplican sus migraciones en orden;
+ * la versión 0 corresponde a las claves sueltas que se usaban antes ("hanoiBestScore", ...).
+ *
+ * Si el navegador bloquea localStorage (modo privado, permisos) los datos se guardan
+ * en memoria durante la sesión, y si se llena la cuota se recortan las estadísticas y se reintenta.
+ */
+
+import { migrateLegacyBestScore } from './Leaderboard.js';
+
+export const STORAGE_NAMESPACE = 'torre-hanoi';
+
+// Esquemas: versión actual, claves antiguas y migraciones (versión n → n + 1)
+export const STORAGE_SCHEMAS = {
+    theme: {
+        version: 1,
+        legacyKeys: ['hanoiThemeSettings'],
+        migrations: {
+            // Los temas antiguos no guardaban la forma de los discos en todos los casos
+            0: ({ hanoiThemeSettings }) => hanoiThemeSettings && { diskShape: 'torus', ...hanoiThemeSettings }
+        }
+    },
+    settings: { version: 1, legacyKeys: [], migrations: {} },
+    leaderboards: {
+        version: 1,
+        legacyKeys: ['hanoiBestScore'],
+        migrations: {
+            // El récord único pasa a la clasificación de su número de discos
+            0: ({ hanoiBestScore }) => hanoiBestScore ? migrateLegacyBestScore(hanoiBestScore) : undefined
+        }
+    },
+    daily: { version: 1, legacyKeys: [], migrations: {} },
+    campaign: { version: 1, legacyKeys: [], migrations: {} },
+    achievements: { version: 1, legacyKeys: [], migrations: {} },
+    statistics: { version: 1, legacyKeys: [], migrations: {} },
+    savedGame: { version: 1, legacyKeys: [], migrations: {} },
+    splits: { version: 1, legacyKeys: [], migrations: {} },
+    instructions: {
+        version: 1,
+        legacyKeys: ['hanoiHasPlayed'],
+        migrations: { 0: ({ hanoiHasPlayed }) => hanoiHasPlayed }
+    }
+};
+
+// Dato que se recorta cuando se llena la cuota
+const EXPENDABLE_DATA = 'statistics';
+
+// Datos que no caben o no se pueden escribir en localStorage
+const memoryStore = new Map();
+
+let persistentStorage;
+
+/**
+ * Obtiene localStorage si se puede usar
+ * @return {Storage|null} - localStorage o null si está bloqueado
+ */
+function getPersistentStorage() {
+    if (persistentStorage === undefined) {
+        try {
+            const testKey = `${STORAGE_NAMESPACE}:test`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            persistentStorage = localStorage;
+        } catch (e) {
+            console.warn('localStorage no disponible, los datos solo se guardarán durante la sesión:', e);
+            persistentStorage = null;
+        }
+    }
+    return persistentStorage;
+}
+
+/**
+ * Indica si los datos sobreviven a recargar la página
+ * @return {boolean} - true si se guardan en localStorage
+ */
+export function isStoragePersistent() {
+    return getPersistentStorage() !== null;
+}
+
+/**
+ * Clave con espacio de nombres
+ * @param {string} name - Nombre del dato
+ * @return {string} - Clave en el almacenamiento
+ */
+function getStorageKey(name) {
+    return `${STORAGE_NAMESPACE}:${name}`;
+}
+
+/**
+ * Obtiene el esquema de un dato
+ * @param {string} name - Nombre del dato
+ * @return {Object} - Esquema ({version, legacyKeys, migrations})
+ */
+function getSchema(name) {
+    const schema = STORAGE_SCHEMAS[name];
+    if (!schema) {
+        throw new Error(`Dato de almacenamiento desconocido: ${name}`);
+    }
+    return schema;
+}
+
+/**
+ * Lee una clave sin interpretar
+ * @param {string} key - Clave en el almacenamiento
+ * @return {string|null} - Valor guardado o null
+ */
+function readRaw(key) {
+    if (memoryStore.has(key)) {
+        return memoryStore.get(key);
+    }
+    const storage = getPersistentStorage();
+    return storage ? storage.getItem(key) : null;
+}
+
+/**
+ * Comprueba si un error es por falta de espacio
+ * @param {Error} error - Error al escribir
+ * @return {boolean} - true si se ha llenado la cuota
+ */
+function isQuotaError(error) {
+    return error instanceof DOMException &&
+        (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+/**
+ * Libera espacio descartando la mitad más antigua del registro de partidas,
+ * que es el dato más grande y el único prescindible
+ * @param {Storage} storage - localStorage
+ */
+function freeSpace(storage) {
+    const key = getStorageKey(EXPENDABLE_DATA);
+    const raw = storage.getItem(key);
+    if (!raw) return;
+
+    const envelope = JSON.parse(raw);
+    if (Array.isArray(envelope.data) && envelope.data.length > 1) {
+        envelope.data = envelope.data.slice(Math.floor(envelope.data.length / 2));
+        storage.setItem(key, JSON.stringify(envelope));
+    }
+}
+
+/**
+ * Escribe una clave; si no hay sitio, libera espacio y reintenta, y si aun así
+ * no se puede, la guarda en memoria
+ * @param {string} key - Clave en el almacenamiento
+ * @param {string} value - Valor a guardar
+ * @return {boolean} - true si se ha guardado de forma persistente
+ */
+function writeRaw(key, value) {
+    const storage = getPersistentStorage();
+    if (storage) {
+        try {
+            storage.setItem(key, value);
+            memoryStore.delete(key);
+            return true;
+        } catch (e) {
+            if (isQuotaError(e)) {
+                try {
+                    freeSpace(storage);
+                    storage.setItem(key, value);
+                    memoryStore.delete(key);
+                    return true;
+                } catch (retryError) {
+                    console.error('Almacenamiento lleno, el dato se guardará solo durante la sesión:', key);
+                }
+            } else {
+                console.error('Error al guardar los datos:', e);
+            }
+        }
+    }
+    memoryStore.set(key, value);
+    return false;
+}
+
+/**
+ * Lee los valores de las claves antiguas de un esquema
+ * @param {Object} schema - Esquema del dato
+ * @return {Object|null} - Valores por clave antigua, o null si no hay ninguno
+ */
+function readLegacy(schema) {
+    const legacy = {};
+    let found = false;
+    schema.legacyKeys.forEach(legacyKey => {
+        const raw = readRaw(legacyKey);
+        if (raw === null) return;
+        found = true;
+        try {
+            legacy[legacyKey] = JSON.parse(raw);
+        } catch (e) {
+            legacy[legacyKey] = raw;
+        }
+    });
+    return found ? legacy : null;
+}
+
+/**
+ * Aplica las migraciones desde una versión hasta la actual
+ * @param {Object} schema - Esquema del dato
+ * @param {*} data - Datos en la versión de origen
+ * @param {number} fromVersion - Versión de origen
+ * @return {*} - Datos en la versión actual
+ */
+function migrate(schema, data, fromVersion) {
+    let migrated = data;
+    for (let version = fromVersion; version < schema.version; version++) {
+        migrated = schema.migrations[version](migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Lleva un dato de una versión de su esquema a la actual
+ * @param {string} name - Nombre del dato (ver STORAGE_SCHEMAS)
+ * @param {*} data - Dato en la versión de origen
+ * @param {number} version - Versión de origen (1 o posterior)
+ * @return {*} - Dato en la versión actual
+ */
+export function migrateData(name, data, version) {
+    const schema = getSchema(name);
+    if (!(version >= 1) || version > schema.version) {
+        throw new Error(`Versión de "${name}" no soportada: ${version}`);
+    }
+    return migrate(schema, data, version);
+}
+
+/**
+ * Carga un dato, migrándolo si se guardó con una versión anterior
+ * @param {string} name - Nombre del dato (ver STORAGE_SCHEMAS)
+ * @param {*} fallback - Valor si no hay nada guardado o no se puede leer
+ * @return {*} - Dato guardado o el valor por defecto
+ */
+export function loadData(name, fallback = null) {
+    const schema = getSchema(name);
+    const key = getStorageKey(name);
+
+    try {
+        const raw = readRaw(key);
+        if (raw !== null) {
+            const envelope = JSON.parse(raw);
+            if (!envelope || typeof envelope !== 'object' || !Number.isInteger(envelope.version)) {
+                console.warn(`Datos de "${name}" sin versión válida, se ignoran`);
+                return fallback;
+            }
+            const { version, data } = envelope;
+            if (version > schema.version) {
+                console.warn(`Datos de "${name}" guardados con una versión más reciente (${version})`);
+                return fallback;
+            }
+            if (version < schema.version) {
+                const migrated = migrate(schema, data, version);
+                saveData(name, migrated);
+                return migrated;
+            }
+            return data;
+        }
+
+        // Primera carga tras actualizar: migrar las claves antiguas
+        const legacy = readLegacy(schema);
+        if (legacy) {
+            const migrated = migrate(schema, legacy, 0) ?? null;
+            // Las claves antiguas solo se borran cuando el dato migrado ya está a salvo
+            if (migrated === null || saveData(name, migrated)) {
+                removeLegacyKeys(schema);
+            }
+            return migrated ?? fallback;
+        }
+    } catch (e) {
+        console.error(`Error al cargar "${name}":`, e);
+    }
+    return fallback;
+}
+
+/**
+ * Guarda un dato con la versión actual de su esquema
+ * @param {string} name - Nombre del dato (ver STORAGE_SCHEMAS)
+ * @param {*} data - Dato a guardar (serializable a JSON)
+ * @return {boolean} - true si se ha guardado de forma persistente
+ */
+export function saveData(name, data) {
+    const schema = getSchema(name);
+    return writeRaw(getStorageKey(name), JSON.stringify({ version: schema.version, data }));
+}
+
+/**
+ * Borra un dato
+ * @param {string} name - Nombre del dato (ver STORAGE_SCHEMAS)
+ */
+export function removeData(name) {
+    getSchema(name);
+    const key = getStorageKey(name);
+    memoryStore.delete(key);
+
+    const storage = getPersistentStorage();
+    if (storage) {
+        try {
+            storage.removeItem(key);
+        } catch (e) {
+            console.error('Error al borrar los datos:', e);
+        }
+    }
+}
+
+/**
+ * Borra las claves antiguas de un esquema ya migrado
+ * @param {Object} schema - Esquema del dato
+ */
+function removeLegacyKeys(schema) {
+    schema.legacyKeys.forEach(legacyKey => {
+        memoryStore.delete(legacyKey);
+        const storage = getPersistentStorage();
+        if (storage) {
+            storage.removeItem(legacyKey);
+        }
+    });
+}
@@ -21,10 +21,21 @@ export const DISK_COLORS = [
  */
 export function formatTime(seconds) {
     const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
+    const remainingSeconds = Math.floor(seconds % 60);
     return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Formatea el tiempo con centésimas (mm:ss.cc)
+ * @param {number} seconds - Tiempo en segundos
+ * @return {string} - Tiempo formateado
+ */
+export function formatPreciseTime(seconds) {
+    // Redondear antes a milisegundos evita errores de coma flotante (1.29 → 128.99...)
+    const centiseconds = Math.floor(Math.round(seconds * 1000) / 10);
+    return `${formatTime(Math.floor(centiseconds / 100))}.${(centiseconds % 100).toString().padStart(2, '0')}`;
+}
+
 /**
  * Calcula la posición Y para un disco en una torre
  * @param {number} index - Índice del disco en la torre (0 es el fondo)
@@ -46,13 +57,92 @@ export function randomBetween(min, max) {
     return Math.random() * (max - min) + min;
 }
 
+// Memoria de resultados de Frame–Stewart, indexada por "discos,torres"
+const frameStewartCache = new Map();
+
 /**
- * Calcula el número mínimo de movimientos para resolver el puzzle
+ * Calcula el número mínimo de movimientos para resolver el puzzle.
+ * Con 3 torres es 2^n - 1; con más torres usa la recurrencia de Frame–Stewart.
  * @param {number} numDisks - Número de discos
+ * @param {number} numPegs - Número de torres
  * @return {number} - Número mínimo de movimientos
  */
-export function calculateMinMoves(numDisks) {
-    return Math.pow(2, numDisks) - 1;
+export function calculateMinMoves(numDisks, numPegs = 3) {
+    return getFrameStewartPlan(numDisks, numPegs).moves;
+}
+
+/**
+ * Obtiene cuántos discos superiores conviene apartar primero según Frame–Stewart
+ * @param {number} numDisks - Número de discos
+ * @param {number} numPegs - Número de torres (4 o más)
+ * @return {number} - Número de discos que se apartan a una torre intermedia
+ */
+export function getFrameStewartSplit(numDisks, numPegs) {
+    return getFrameStewartPlan(numDisks, numPegs).split;
+}
+
+/**
+ * Calcula (con memoria) el mínimo de movimientos y la división óptima de Frame–Stewart
+ * @param {number} numDisks - Número de discos
+ * @param {number} numPegs - Número de torres
+ * @return {{moves: number, split: number}} - Movimientos y discos a apartar
+ */
+function getFrameStewartPlan(numDisks, numPegs) {
+    if (numDisks <= 0) {
+        return { moves: 0, split: 0 };
+    }
+    if (numPegs <= 3 || numDisks === 1) {
+        return { moves: Math.pow(2, numDisks) - 1, split: numDisks - 1 };
+    }
+    
+    const key = `${numDisks},${numPegs}`;
+    if (!frameStewartCache.has(key)) {
+        let best = { moves: Infinity, split: 1 };
+        
+        // Apartar t discos con todas las torres y mover el resto con una torre menos
+        for (let t = 1; t < numDisks; t++) {
+            const moves = 2 * getFrameStewartPlan(t, numPegs).moves +
+                getFrameStewartPlan(numDisks - t, numPegs - 1).moves;
+            if (moves < best.moves) {
+                best = { moves, split: t };
+            }
+        }
+        
+        frameStewartCache.set(key, best);
+    }
+    
+    return frameStewartCache.get(key);
+}
+
+// Discos y torres que se pueden elegir en la interfaz (las torres se nombran de la A a la H)
+export const DISK_LIMITS = { min: 3, max: 7 };
+export const PEG_LIMITS = { min: 3, max: 8 };
+
+// Nombres de los modos de juego para mostrar en tablas y resúmenes
+export const GAME_MODE_LABELS = {
+    normal: 'Normal',
+    contrarreloj: 'Contrarreloj',
+    desafio: 'Desafío',
+    puzzle: 'Puzzle',
+    diario: 'Reto diario',
+    campana: 'Campaña'
+};
+
+// Niveles de dificultad de un puzzle según su par (movimientos mínimos)
+export const DIFFICULTY_RATINGS = [
+    { id: 'facil', label: 'Fácil', maxPar: 7 },
+    { id: 'media', label: 'Media', maxPar: 20 },
+    { id: 'dificil', label: 'Difícil', maxPar: 50 },
+    { id: 'experto', label: 'Experto', maxPar: Infinity }
+];
+
+/**
+ * Obtiene el nivel de dificultad correspondiente a un par
+ * @param {number} par - Movimientos mínimos para resolver el puzzle
+ * @return {Object} - Nivel ({id, label, maxPar})
+ */
+export function getDifficultyRating(par) {
+    return DIFFICULTY_RATINGS.find(rating => par <= rating.maxPar);
 }
 
 /**
@@ -61,4 +151,31 @@ export function calculateMinMoves(numDisks) {
  */
 export function isMobileDevice() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-} 
\ No newline at end of file
+}
+
+/**
+ * Escapa un texto para insertarlo en HTML
+ * @param {*} text - Texto (o valor que se convierte a texto)
+ * @return {string} - Texto con &, <, >, " y ' escapados
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Descarga un archivo generado en el navegador
+ * @param {string} filename - Nombre del archivo
+ * @param {string} content - Contenido del archivo
+ * @param {string} mimeType - Tipo MIME del contenido
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,49 @@
+/**
+ * Variantes de reglas de la Torre de Hanoi.
+ * Además de la regla de tamaños, cada variante puede limitar entre qué torres
+ * se permite mover un disco.
+ */
+
+export const DEFAULT_VARIANT = 'clasica';
+
+export const VARIANTS = {
+    clasica: {
+        label: 'Clásica',
+        description: 'Cualquier disco puede ir a cualquier torre',
+        numPegs: null, // Admite cualquier número de torres
+        allowsMove: () => true
+    },
+    ciclica: {
+        label: 'Cíclica',
+        description: 'Los discos solo avanzan en sentido horario: 1 → 2 → 3 → 1',
+        numPegs: 3,
+        allowsMove: (from, to, numPegs) => to === (from + 1) % numPegs
+    },
+    adyacente: {
+        label: 'Adyacente',
+        description: 'Los discos solo pasan a una torre contigua: de una torre exterior a otra se pasa por la central',
+        numPegs: 3,
+        allowsMove: (from, to) => Math.abs(from - to) === 1
+    }
+};
+
+/**
+ * Obtiene la definición de una variante
+ * @param {string} id - Identificador de la variante
+ * @return {Object} - Variante ({label, description, numPegs, allowsMove}); la clásica si no existe
+ */
+export function getVariant(id) {
+    return VARIANTS[id] || VARIANTS[DEFAULT_VARIANT];
+}
+
+/**
+ * Comprueba si una variante permite mover entre dos torres, sin mirar los discos
+ * @param {string} id - Identificador de la variante
+ * @param {number} from - Torre origen
+ * @param {number} to - Torre destino
+ * @param {number} numPegs - Número de torres
+ * @return {boolean} - true si la dirección está permitida
+ */
+export function isDirectionAllowed(id, from, to, numPegs) {
+    return getVariant(id).allowsMove(from, to, numPegs);
+}
@@ -0,0 +1,69 @@
+/**
+ * Pruebas de la campaña: paquetes incluidos, desbloqueo de niveles y mejores marcas
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    CAMPAIGN_PACK_FILES, calculateStars, createEmptyProgress, getCurrentLevel, getLevelKey,
+    getNextLevel, isLevelUnlocked, recordLevelResult, validatePack
+} from '../js/Campaign.js';
+
+// Paquetes de la campaña, validados como al cargarlos en el juego
+const packs = CAMPAIGN_PACK_FILES.map(file =>
+    validatePack(JSON.parse(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'))));
+
+/**
+ * Marca como superados los niveles anteriores a uno dado
+ * @param {number} packIndex - Índice del paquete
+ * @param {number} levelIndex - Índice del nivel en el paquete
+ * @return {Object} - Progreso de la campaña
+ */
+function completeUntil(packIndex, levelIndex) {
+    let progress = createEmptyProgress();
+    let position = { packIndex: 0, levelIndex: 0 };
+    while (position.packIndex !== packIndex || position.levelIndex !== levelIndex) {
+        const pack = packs[position.packIndex];
+        progress = recordLevelResult(progress, getLevelKey(pack, pack.levels[position.levelIndex]),
+            { stars: 1, moves: 100, time: 100 });
+        position = getNextLevel(packs, position.packIndex, position.levelIndex);
+    }
+    return progress;
+}
+
+test('al empezar solo está desbloqueado el primer nivel', () => {
+    const progress = createEmptyProgress();
+    assert.equal(isLevelUnlocked(packs, progress, 0, 0), true);
+    assert.equal(isLevelUnlocked(packs, progress, 0, 1), false);
+    assert.equal(isLevelUnlocked(packs, progress, 1, 0), false);
+    assert.deepEqual(getCurrentLevel(packs, progress), { packIndex: 0, levelIndex: 0 });
+});
+
+test('superar un nivel desbloquea el siguiente, también en el paquete siguiente', () => {
+    const progress = completeUntil(0, 1);
+    assert.equal(isLevelUnlocked(packs, progress, 0, 1), true);
+    assert.equal(isLevelUnlocked(packs, progress, 0, 2), false);
+    assert.deepEqual(getCurrentLevel(packs, progress), { packIndex: 0, levelIndex: 1 });
+
+    const lastLevel = packs[0].levels.length - 1;
+    assert.equal(isLevelUnlocked(packs, completeUntil(0, lastLevel), 1, 0), false);
+    assert.equal(isLevelUnlocked(packs, completeUntil(1, 0), 1, 0), true);
+    assert.deepEqual(getNextLevel(packs, 0, lastLevel), { packIndex: 1, levelIndex: 0 });
+    assert.equal(getNextLevel(packs, packs.length - 1, packs.at(-1).levels.length - 1), null);
+});
+
+test('las estrellas dependen de los objetivos de movimientos y tiempo', () => {
+    const level = packs[0].levels[0];
+    const { moves, time } = level.targets;
+    assert.equal(calculateStars(level, { moves, time }), 3);
+    assert.equal(calculateStars(level, { moves, time: time + 1 }), 2);
+    assert.equal(calculateStars(level, { moves: moves + 1, time }), 1);
+});
+
+test('repetir un nivel conserva las mejores marcas de cada tipo', () => {
+    const key = getLevelKey(packs[0], packs[0].levels[0]);
+    let progress = recordLevelResult(createEmptyProgress(), key, { stars: 3, moves: 7, time: 40 });
+    progress = recordLevelResult(progress, key, { stars: 2, moves: 9, time: 20 });
+    assert.deepEqual(progress.levels[key], { stars: 3, bestMoves: 7, bestTime: 20 });
+});
@@ -0,0 +1,57 @@
+/**
+ * Pruebas del reto diario: el mismo reto para la misma fecha y rachas de días ganados
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+import {
+    createDailyChallenge, createEmptyDailyData, getCurrentStreak, getDateKey, recordDailyResult
+} from '../js/DailyChallenge.js';
+
+const WIN = { outcome: 'victoria', moves: 20, time: 60, hints: 0 };
+const LOSS = { outcome: 'derrota', moves: 30, time: 90, hints: 1 };
+
+test('la misma fecha genera siempre el mismo reto, sea cual sea la hora', () => {
+    const morning = createDailyChallenge(new Date(2025, 4, 1, 8, 0));
+    const night = createDailyChallenge(new Date(2025, 4, 1, 23, 59));
+
+    assert.equal(morning.date, '2025-05-01');
+    assert.deepEqual(night, morning);
+});
+
+test('cada día tiene su propio reto, sin resolver desde el principio', () => {
+    const challenges = Array.from({ length: 30 }, (_, day) => createDailyChallenge(new Date(2025, 0, day + 1)));
+
+    assert.equal(new Set(challenges.map(challenge => challenge.seed)).size, challenges.length);
+    assert.equal(new Set(challenges.map(challenge => JSON.stringify(challenge.start))).size > 1, true);
+    challenges.forEach(challenge => {
+        const start = new HanoiState(challenge.start);
+        assert.equal(start.numDisks, challenge.numDisks);
+        assert.equal(challenge.numDisks >= 4 && challenge.numDisks <= 7, true);
+        assert.equal(start.isSolved(challenge.goalPeg), false);
+    });
+});
+
+test('la clave del día usa la fecha local', () => {
+    assert.equal(getDateKey(new Date(2025, 11, 31, 23, 30)), '2025-12-31');
+});
+
+test('las victorias en días seguidos alargan la racha y una derrota la corta', () => {
+    let data = createEmptyDailyData();
+    data = recordDailyResult(data, '2025-02-27', WIN);
+    data = recordDailyResult(data, '2025-02-28', WIN);
+    data = recordDailyResult(data, '2025-03-01', WIN);
+    assert.equal(data.streak, 3);
+    assert.equal(data.bestStreak, 3);
+    assert.equal(getCurrentStreak(data, '2025-03-02'), 3);
+    assert.equal(getCurrentStreak(data, '2025-03-03'), 0);
+
+    data = recordDailyResult(data, '2025-03-02', LOSS);
+    assert.equal(data.streak, 0);
+    assert.equal(data.bestStreak, 3);
+
+    // Un día sin jugar también empieza una racha nueva
+    data = recordDailyResult(data, '2025-03-04', WIN);
+    assert.equal(data.streak, 1);
+});
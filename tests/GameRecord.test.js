@@ -0,0 +1,86 @@
+/**
+ * Pruebas del formato de registro: ida y vuelta en JSON y en notación de texto
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+import { createGameRecord, parseGameRecord, recordToNotation } from '../js/GameRecord.js';
+
+/**
+ * Registro de una partida ganada de 3 discos
+ * @return {Object} - Registro de partida
+ */
+function createSampleRecord() {
+    const start = HanoiState.initial(3);
+    const state = start.clone();
+    const moves = [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]]
+        .map(([from, to], index) => ({ ...state.move(from, to), t: (index + 1) * 500 }));
+    return createGameRecord({
+        disks: 3,
+        pegs: 3,
+        mode: 'normal',
+        seed: 42,
+        start,
+        moves,
+        result: { outcome: 'victoria', moves: moves.length, time: 3.5 },
+        date: new Date('2025-01-01T12:00:00.000Z')
+    });
+}
+
+test('un registro en JSON se recupera igual', () => {
+    const record = createSampleRecord();
+    assert.deepEqual(parseGameRecord(JSON.stringify(record)), record);
+});
+
+test('la notación de texto conserva discos, torres, semilla, posiciones y movimientos', () => {
+    const record = createSampleRecord();
+    const parsed = parseGameRecord(recordToNotation(record));
+
+    assert.equal(parsed.disks, record.disks);
+    assert.equal(parsed.pegs, record.pegs);
+    assert.equal(parsed.mode, record.mode);
+    assert.equal(parsed.seed, record.seed);
+    assert.deepEqual(parsed.start, record.start);
+    assert.deepEqual(parsed.moves.map(({ from, to, disk }) => ({ from, to, disk })),
+        record.moves.map(({ from, to, disk }) => ({ from, to, disk })));
+    assert.equal(parsed.result.outcome, 'victoria');
+    assert.equal(recordToNotation(parsed), recordToNotation(record));
+});
+
+test('rechaza registros con movimientos ilegales', () => {
+    assert.throws(() => parseGameRecord('Discos: 3\nTorres: 3\nInicio: 3,2,1||\n\nA>B A>B'), /ilegal/);
+
+    const record = createSampleRecord();
+    record.moves[2] = { from: 0, to: 1, disk: 3, t: 1500 };
+    assert.throws(() => parseGameRecord(JSON.stringify(record)));
+});
+
+test('rechaza registros sin tiempo, movimientos o fecha en el resultado', () => {
+    const withoutTime = createSampleRecord();
+    delete withoutTime.result.time;
+    assert.throws(() => parseGameRecord(JSON.stringify(withoutTime)), /tiempo/);
+
+    const withoutMoves = createSampleRecord();
+    withoutMoves.result.moves = '7';
+    assert.throws(() => parseGameRecord(JSON.stringify(withoutMoves)), /movimientos/);
+
+    const withoutDate = createSampleRecord();
+    withoutDate.date = 'ayer';
+    assert.throws(() => parseGameRecord(JSON.stringify(withoutDate)), /fecha/);
+});
+
+test('rechaza registros con discos o torres fuera de los que se pueden jugar', () => {
+    assert.throws(() => parseGameRecord('Discos: 2\nTorres: 3\nInicio: 2,1||\n\nA>B'), /entre 3 y 7 discos/);
+    assert.throws(() => parseGameRecord('Discos: 8\nTorres: 3\nInicio: 8,7,6,5,4,3,2,1||\n\nA>B'), /entre 3 y 7 discos/);
+    assert.throws(() => parseGameRecord('Discos: 3\nTorres: 9\nInicio: 3,2,1||||||||\n\nA>B'), /entre 3 y 8 torres/);
+});
+
+test('las partidas contrarreloj conservan su ritmo en JSON y en texto', () => {
+    const record = { ...createSampleRecord(), mode: 'contrarreloj', timeBudget: 'rapido' };
+    assert.equal(parseGameRecord(JSON.stringify(record)).timeBudget, 'rapido');
+    assert.equal(parseGameRecord(recordToNotation(record)).timeBudget, 'rapido');
+    assert.equal(parseGameRecord(recordToNotation(createSampleRecord())).timeBudget, null);
+
+    assert.throws(() => parseGameRecord(JSON.stringify({ ...record, timeBudget: 'eterno' })), /Ritmo/);
+});
@@ -0,0 +1,63 @@
+/**
+ * Pruebas de las reglas: movimientos legales, mover y deshacer, objetivo alcanzado
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+
+test('un disco solo puede ir sobre uno más grande o a una torre vacía', () => {
+    const state = HanoiState.deserialize('3,1|2|');
+    assert.equal(state.isLegal(0, 1), true);
+    assert.equal(state.isLegal(0, 2), true);
+    assert.equal(state.isLegal(1, 0), false);
+    assert.equal(state.isLegal(2, 0), false);
+    assert.equal(state.isLegal(0, 0), false);
+    assert.equal(state.isLegal(0, 5), false);
+});
+
+test('la variante cíclica solo permite avanzar en sentido horario', () => {
+    const state = HanoiState.initial(3, 3, 0, 'ciclica');
+    assert.equal(state.isLegal(0, 1), true);
+    assert.equal(state.isLegal(0, 2), false);
+});
+
+test('la variante adyacente solo permite pasar a una torre contigua', () => {
+    const state = HanoiState.initial(3, 3, 0, 'adyacente');
+    assert.equal(state.isLegal(0, 1), true);
+    assert.equal(state.isLegal(0, 2), false);
+});
+
+test('move mueve el disco superior y unapply lo devuelve', () => {
+    const state = HanoiState.initial(3);
+    const move = state.move(0, 2);
+    assert.deepEqual(move, { from: 0, to: 2, disk: 1 });
+    assert.equal(state.serialize(), '3,2||1');
+
+    state.unapply(move);
+    assert.equal(state.serialize(), '3,2,1||');
+});
+
+test('move rechaza los movimientos ilegales sin cambiar el estado', () => {
+    const state = HanoiState.deserialize('3,1|2|');
+    assert.throws(() => state.move(1, 0));
+    assert.equal(state.serialize(), '3,1|2|');
+});
+
+test('isSolved reconoce la pila en la torre objetivo y las distribuciones objetivo', () => {
+    assert.equal(HanoiState.initial(3).isSolved(), false);
+    assert.equal(HanoiState.initial(3, 3, 2).isSolved(), true);
+    assert.equal(HanoiState.initial(3, 4, 1).isSolved(1), true);
+
+    const goal = HanoiState.deserialize('3|2|1');
+    assert.equal(HanoiState.deserialize('3|2|1').isSolved(goal), true);
+    assert.equal(HanoiState.deserialize('3|1|2').isSolved(goal), false);
+});
+
+test('serialize y deserialize conservan la distribución', () => {
+    const state = HanoiState.deserialize('5,2|4,3|1|');
+    assert.equal(state.numDisks, 5);
+    assert.equal(state.numPegs, 4);
+    assert.equal(HanoiState.deserialize(state.serialize()).serialize(), '5,2|4,3|1|');
+    assert.equal(HanoiState.fromJSON(JSON.parse(JSON.stringify(state))).equals(state), true);
+});
@@ -0,0 +1,64 @@
+/**
+ * Pruebas de las clasificaciones: orden, límite de entradas y claves de configuración
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_LEADERBOARD_ENTRIES, addLeaderboardEntry, describeLeaderboardKey, getLeaderboardKey, isLeaderboardKey
+} from '../js/Leaderboard.js';
+
+const KEY = '5|3|normal|clasica';
+
+/**
+ * Entrada de clasificación con los campos que intervienen en el orden
+ * @param {number} score - Puntuación
+ * @param {number} time - Segundos de partida
+ * @return {Object} - Entrada
+ */
+function createEntry(score, time) {
+    return { name: 'Jugador', score, stars: 3, moves: 31, par: 31, time, hints: 0, date: '2025-01-01T12:00:00.000Z' };
+}
+
+test('las entradas se ordenan por puntuación y, a igual puntuación, por tiempo', () => {
+    let boards = {};
+    [createEntry(800, 90), createEntry(950, 70), createEntry(800, 60)].forEach(entry => {
+        boards = addLeaderboardEntry(boards, KEY, entry).boards;
+    });
+
+    assert.deepEqual(boards[KEY].map(({ score, time }) => [score, time]), [[950, 70], [800, 60], [800, 90]]);
+    assert.equal(addLeaderboardEntry(boards, KEY, createEntry(900, 80)).rank, 2);
+});
+
+test('solo se guardan las mejores entradas y las demás no entran', () => {
+    let boards = {};
+    for (let i = 0; i < MAX_LEADERBOARD_ENTRIES + 2; i++) {
+        boards = addLeaderboardEntry(boards, KEY, createEntry(500 + i * 10, 60)).boards;
+    }
+    assert.equal(boards[KEY].length, MAX_LEADERBOARD_ENTRIES);
+    assert.equal(boards[KEY].at(-1).score, 520);
+
+    const { boards: unchanged, rank } = addLeaderboardEntry(boards, KEY, createEntry(400, 60));
+    assert.equal(rank, 0);
+    assert.equal(unchanged, boards);
+});
+
+test('añadir una entrada no modifica las clasificaciones recibidas', () => {
+    const boards = { [KEY]: [createEntry(800, 90)] };
+    addLeaderboardEntry(boards, KEY, createEntry(900, 60));
+    assert.equal(boards[KEY].length, 1);
+});
+
+test('la clave incluye discos, torres, modo, variante y, si lo hay, la dificultad o el ritmo', () => {
+    assert.equal(getLeaderboardKey({ disks: 5, pegs: 4, mode: 'puzzle', variant: 'clasica', rating: 'media' }),
+        '5|4|puzzle|clasica|media');
+    assert.equal(getLeaderboardKey({ disks: 5, pegs: 3, mode: 'normal', variant: 'ciclica' }), '5|3|normal|ciclica');
+
+    assert.equal(isLeaderboardKey('5|4|puzzle|clasica|media'), true);
+    assert.equal(isLeaderboardKey('5|3|contrarreloj|clasica|rapido'), true);
+    assert.equal(isLeaderboardKey('5|normal|clasica'), false);
+    assert.equal(isLeaderboardKey('5|3|inventado|clasica'), false);
+    assert.equal(isLeaderboardKey('5|3|normal|clasica|media|extra'), false);
+
+    assert.equal(describeLeaderboardKey('5|4|puzzle|clasica|media'), '5 discos · 4 torres · Puzzle (Media) · Clásica');
+});
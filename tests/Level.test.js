@@ -0,0 +1,41 @@
+/**
+ * Pruebas del formato de nivel: par calculado y límites de discos y torres
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+import { createLevel, parseLevel } from '../js/Level.js';
+
+test('un nivel válido se recupera con su par', () => {
+    const level = createLevel({
+        name: 'Media torre',
+        start: HanoiState.initial(3),
+        goal: new HanoiState([[3], [], [2, 1]])
+    });
+
+    assert.equal(level.par, 3);
+    assert.deepEqual(parseLevel(JSON.stringify(level)), level);
+});
+
+test('rechaza niveles con discos o torres fuera de los que se pueden jugar', () => {
+    const level = {
+        format: 'hanoi-level',
+        version: 1,
+        name: 'Fuera de rango',
+        disks: 2,
+        pegs: 3,
+        start: [[2, 1], [], []],
+        goal: [[], [], [2, 1]]
+    };
+    assert.throws(() => parseLevel(JSON.stringify(level)), /entre 3 y 7 discos/);
+
+    const tooManyPegs = {
+        ...level,
+        disks: 3,
+        pegs: 9,
+        start: [[3, 2, 1], [], [], [], [], [], [], [], []],
+        goal: [[], [], [], [], [], [], [], [], [3, 2, 1]]
+    };
+    assert.throws(() => parseLevel(JSON.stringify(tooManyPegs)), /entre 3 y 8 torres/);
+});
@@ -0,0 +1,94 @@
+/**
+ * Pruebas del historial de movimientos: pilas de deshacer y rehacer y políticas de deshacer
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MoveHistory, UNDO_POLICIES } from '../js/MoveHistory.js';
+
+const FIRST = { from: 0, to: 2, disk: 1 };
+const SECOND = { from: 0, to: 1, disk: 2 };
+const THIRD = { from: 2, to: 1, disk: 1 };
+
+/**
+ * Historial con tres movimientos registrados
+ * @return {MoveHistory} - Historial
+ */
+function createHistory() {
+    const history = new MoveHistory();
+    [FIRST, SECOND, THIRD].forEach(move => history.push(move));
+    return history;
+}
+
+test('deshacer y rehacer recorren los movimientos en orden inverso', () => {
+    const history = createHistory();
+
+    assert.equal(history.undo(), THIRD);
+    assert.equal(history.undo(), SECOND);
+    assert.deepEqual(history.moves, [FIRST]);
+    assert.deepEqual(history.redoMoves, [THIRD, SECOND]);
+
+    assert.equal(history.redo(), SECOND);
+    assert.equal(history.redo(), THIRD);
+    assert.equal(history.redo(), null);
+    assert.deepEqual(history.moves, [FIRST, SECOND, THIRD]);
+});
+
+test('un movimiento nuevo descarta los deshechos', () => {
+    const history = createHistory();
+    history.undo();
+    assert.equal(history.canRedo(), true);
+
+    history.push({ from: 2, to: 0, disk: 1 });
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.moves.length, 3);
+});
+
+test('sin movimientos no se puede deshacer ni rehacer', () => {
+    const history = new MoveHistory();
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.undo(), null);
+    assert.equal(history.redo(), null);
+
+    const cleared = createHistory();
+    cleared.undo();
+    cleared.clear();
+    assert.equal(cleared.canUndo(), false);
+    assert.equal(cleared.canRedo(), false);
+});
+
+test('los movimientos deshechos de una partida guardada se pueden rehacer', () => {
+    const saved = createHistory();
+    saved.undo();
+    saved.undo();
+
+    const restored = new MoveHistory();
+    restored.push(FIRST);
+    restored.restoreRedoMoves(saved.redoMoves);
+    assert.equal(restored.redo(), SECOND);
+    assert.equal(restored.redo(), THIRD);
+});
+
+test('las listas que devuelve el historial son copias', () => {
+    const history = createHistory();
+    history.moves.pop();
+    history.undo();
+    history.redoMoves.pop();
+
+    assert.equal(history.moves.length, 2);
+    assert.equal(history.redoMoves.length, 1);
+});
+
+test('cada política decide si deshacer cuenta como movimiento y si bloquea el récord', () => {
+    // Contador de movimientos tras mover tres veces y deshacer dos
+    const countMoves = policy => 3 + 2 * (policy.countsAsMove ? 1 : -1);
+
+    assert.equal(countMoves(UNDO_POLICIES.libre), 1);
+    assert.equal(countMoves(UNDO_POLICIES.penalizado), 5);
+    assert.equal(countMoves(UNDO_POLICIES.sinRecord), 1);
+
+    assert.equal(UNDO_POLICIES.libre.blocksBestScore, false);
+    assert.equal(UNDO_POLICIES.penalizado.blocksBestScore, false);
+    assert.equal(UNDO_POLICIES.sinRecord.blocksBestScore, true);
+});
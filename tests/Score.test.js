@@ -0,0 +1,29 @@
+/**
+ * Pruebas de la puntuación: puntos por movimientos y tiempo, penalizaciones y estrellas
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_SCORE, calculateScore } from '../js/Score.js';
+
+test('una partida perfecta obtiene la puntuación máxima y 3 estrellas', () => {
+    assert.deepEqual(calculateScore({ moves: 7, par: 7, time: 14 }), { points: MAX_SCORE, stars: 3 });
+    assert.deepEqual(calculateScore({ moves: 7, par: 7, time: 5 }), { points: MAX_SCORE, stars: 3 });
+});
+
+test('los movimientos de más y la lentitud restan puntos y estrellas', () => {
+    // 700 · 7/14 + 300 = 650
+    assert.deepEqual(calculateScore({ moves: 14, par: 7, time: 14 }), { points: 650, stars: 2 });
+    // 700 · 7/14 + 300 · 14/140 = 380
+    assert.deepEqual(calculateScore({ moves: 14, par: 7, time: 140 }), { points: 380, stars: 1 });
+});
+
+test('pistas, movimientos deshechos e intentos inválidos penalizan', () => {
+    assert.deepEqual(calculateScore({ moves: 7, par: 7, time: 14, hints: 2 }), { points: 900, stars: 3 });
+    assert.deepEqual(calculateScore({ moves: 7, par: 7, time: 14, hints: 2, undos: 1 }), { points: 890, stars: 2 });
+    assert.deepEqual(calculateScore({ moves: 7, par: 7, time: 14, invalidMoves: 5 }), { points: 900, stars: 3 });
+});
+
+test('la puntuación nunca es negativa y siempre hay al menos una estrella', () => {
+    assert.deepEqual(calculateScore({ moves: 100, par: 7, time: 600, hints: 20 }), { points: 0, stars: 1 });
+});
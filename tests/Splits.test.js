@@ -0,0 +1,51 @@
+/**
+ * Pruebas de los tiempos parciales: discos colocados, comparación con la mejor marca y récords
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+import { addSplits, countPlacedDisks, formatSplitDelta, getSplitDelta, updateBestSplits } from '../js/Splits.js';
+
+const KEY = '3|3|normal|clasica';
+
+test('solo cuentan los discos más grandes que ya están en su torre', () => {
+    assert.equal(countPlacedDisks(HanoiState.deserialize('3,2,1||'), 2), 0);
+    assert.equal(countPlacedDisks(HanoiState.deserialize('|1|3,2'), 2), 2);
+    assert.equal(countPlacedDisks(HanoiState.deserialize('2||3,1'), 2), 1);
+    assert.equal(countPlacedDisks(HanoiState.deserialize('|3,2,1|'), HanoiState.deserialize('|3,2,1|')), 3);
+});
+
+test('cada parcial se registra la primera vez que se alcanza', () => {
+    let splits = addSplits([], 0, 1, 4000);
+    splits = addSplits(splits, 0, 0, 5000);
+    splits = addSplits(splits, 0, 1, 6000);
+    splits = addSplits(splits, 0, 3, 9000);
+    assert.deepEqual(splits, [{ disks: 1, time: 4000 }, { disks: 2, time: 9000 }, { disks: 3, time: 9000 }]);
+
+    // Los discos que ya estaban colocados al empezar no tienen parcial
+    assert.deepEqual(addSplits([], 2, 3, 1000), [{ disks: 3, time: 1000 }]);
+});
+
+test('los parciales se comparan con los de la mejor marca', () => {
+    const best = { time: 10, splits: [{ disks: 1, time: 4000 }, { disks: 2, time: 7000 }], date: '2025-01-01T12:00:00.000Z' };
+
+    assert.equal(getSplitDelta({ disks: 1, time: 3000 }, best), -1000);
+    assert.equal(getSplitDelta({ disks: 2, time: 7400 }, best), 400);
+    assert.equal(getSplitDelta({ disks: 3, time: 9000 }, best), null);
+    assert.equal(getSplitDelta({ disks: 1, time: 3000 }, null), null);
+
+    assert.equal(formatSplitDelta(-1250), '−1.25');
+    assert.equal(formatSplitDelta(400), '+0.40');
+});
+
+test('solo un tiempo total mejor sustituye a la mejor marca', () => {
+    const run = { time: 12, splits: [{ disks: 1, time: 5000 }] };
+    const { bests, improved } = updateBestSplits({}, KEY, run);
+    assert.equal(improved, true);
+    assert.equal(bests[KEY].time, 12);
+
+    assert.equal(updateBestSplits(bests, KEY, { ...run, time: 12 }).improved, false);
+    assert.equal(updateBestSplits(bests, KEY, { ...run, time: 15 }).bests, bests);
+    assert.equal(updateBestSplits(bests, KEY, { ...run, time: 11 }).bests[KEY].time, 11);
+});
@@ -0,0 +1,65 @@
+/**
+ * Pruebas de las estadísticas: entradas del registro y resumen por resultado, modo y racha
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_LOGGED_GAMES, addGameLogEntry, createGameLogEntry, summarizeStatistics } from '../js/Statistics.js';
+
+/**
+ * Entrada del registro de una partida de 3 discos
+ * @param {string} mode - Modo de juego
+ * @param {string} outcome - Resultado
+ * @param {number} moves - Movimientos hechos
+ * @return {Object} - Entrada del registro
+ */
+function createGame(mode, outcome, moves = 7) {
+    return createGameLogEntry({ mode, variant: 'clasica', disks: 3, pegs: 3, outcome, moves, par: 7, time: 20 },
+        new Date('2025-01-01T12:00:00.000Z'));
+}
+
+test('la eficiencia solo se calcula en las victorias', () => {
+    assert.equal(createGame('normal', 'victoria', 14).efficiency, 0.5);
+    assert.equal(createGame('normal', 'derrota', 14).efficiency, null);
+    assert.equal(createGame('normal', 'resuelta').efficiency, null);
+});
+
+test('el resumen cuenta cada resultado, cada modo y la mejor racha', () => {
+    const log = [
+        createGame('normal', 'victoria'),
+        createGame('normal', 'victoria', 14),
+        createGame('contrarreloj', 'derrota'),
+        createGame('normal', 'victoria'),
+        createGame('puzzle', 'abandonada'),
+        createGame('normal', 'resuelta')
+    ];
+    const summary = summarizeStatistics(log);
+
+    assert.equal(summary.played, 6);
+    assert.equal(summary.wins, 3);
+    assert.equal(summary.losses, 1);
+    assert.equal(summary.abandoned, 1);
+    assert.equal(summary.solved, 1);
+    assert.equal(summary.winRate, 0.5);
+    assert.deepEqual(summary.byMode.normal, { played: 4, wins: 3, winRate: 0.75 });
+    assert.deepEqual(summary.byMode.contrarreloj, { played: 1, wins: 0, winRate: 0 });
+    assert.equal(summary.bestWinStreak, 2);
+    assert.deepEqual(summary.efficiencyTrend, [1, 0.75, 2.5 / 3]);
+    assert.equal(summary.averageEfficiency, 2.5 / 3);
+});
+
+test('un registro vacío se resume sin divisiones por cero', () => {
+    const summary = summarizeStatistics([]);
+    assert.equal(summary.played, 0);
+    assert.equal(summary.winRate, 0);
+    assert.equal(summary.averageEfficiency, null);
+    assert.deepEqual(summary.efficiencyTrend, []);
+});
+
+test('el registro conserva solo las partidas más recientes', () => {
+    let log = Array.from({ length: MAX_LOGGED_GAMES }, () => createGame('normal', 'derrota'));
+    log = addGameLogEntry(log, createGame('normal', 'victoria'));
+
+    assert.equal(log.length, MAX_LOGGED_GAMES);
+    assert.equal(log.at(-1).outcome, 'victoria');
+});
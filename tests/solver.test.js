@@ -0,0 +1,96 @@
+/**
+ * Pruebas del solucionador: soluciones válidas y óptimas en tableros pequeños
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HanoiState } from '../js/HanoiState.js';
+import { solveFromState, calculatePar, createGoalDistances, solveTower } from '../js/solver.js';
+import { calculateMinMoves } from '../js/utils.js';
+
+/**
+ * Aplica una solución y comprueba que todos sus pasos son legales
+ * @param {HanoiState} state - Estado de partida (no se modifica)
+ * @param {Array} steps - Pasos ({fromTower, toTower})
+ * @return {HanoiState} - Estado final
+ */
+function applySteps(state, steps) {
+    const result = state.clone();
+    steps.forEach(({ fromTower, toTower }) => result.move(fromTower, toTower));
+    return result;
+}
+
+/**
+ * Desordena un estado con movimientos legales al azar
+ * @param {HanoiState} state - Estado de partida (se modifica)
+ * @param {Function} random - Generador de números entre 0 y 1
+ * @return {HanoiState} - El mismo estado, desordenado
+ */
+function scramble(state, random) {
+    for (let i = 0; i < 40; i++) {
+        const moves = [];
+        for (let from = 0; from < state.numPegs; from++) {
+            for (let to = 0; to < state.numPegs; to++) {
+                if (state.isLegal(from, to)) moves.push([from, to]);
+            }
+        }
+        const [from, to] = moves[Math.floor(random() * moves.length)];
+        state.move(from, to);
+    }
+    return state;
+}
+
+test('desde la pila inicial usa los movimientos mínimos conocidos', () => {
+    for (let disks = 1; disks <= 6; disks++) {
+        const state = HanoiState.initial(disks);
+        const steps = solveFromState(state);
+        assert.equal(steps.length, 2 ** disks - 1);
+        assert.equal(applySteps(state, steps).isSolved(), true);
+    }
+    assert.equal(solveFromState(HanoiState.initial(5, 4)).length, calculateMinMoves(5, 4));
+});
+
+test('a mitad de la solución óptima solo quedan los movimientos que faltan', () => {
+    const state = HanoiState.initial(4);
+    const steps = solveTower(4, 3);
+    steps.forEach(({ fromTower, toTower }, index) => {
+        assert.equal(solveFromState(state).length, steps.length - index);
+        state.move(fromTower, toTower);
+    });
+    assert.deepEqual(solveFromState(state), []);
+});
+
+test('las variantes cíclica y adyacente respetan sus reglas y su número de movimientos', () => {
+    const adjacent = HanoiState.initial(4, 3, 0, 'adyacente');
+    const adjacentSteps = solveFromState(adjacent);
+    assert.equal(adjacentSteps.length, 3 ** 4 - 1);
+    assert.equal(applySteps(adjacent, adjacentSteps).isSolved(), true);
+
+    const cyclic = HanoiState.initial(4, 3, 0, 'ciclica');
+    assert.equal(applySteps(cyclic, solveFromState(cyclic)).isSolved(), true);
+});
+
+test('desde distribuciones aleatorias la solución es tan corta como la distancia exacta', () => {
+    let seed = 1;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    for (let i = 0; i < 20; i++) {
+        const state = scramble(HanoiState.initial(5, 3 + (i % 2)), random);
+        const distanceTo = createGoalDistances(state);
+        const steps = solveFromState(state);
+        assert.equal(steps.length, distanceTo(state));
+        assert.equal(calculatePar(state), steps.length);
+        assert.equal(applySteps(state, steps).isSolved(), true);
+    }
+});
+
+test('resuelve hacia una distribución objetivo', () => {
+    const state = HanoiState.initial(3);
+    const goal = HanoiState.deserialize('1|3|2');
+    const steps = solveFromState(state, goal);
+    assert.equal(applySteps(state, steps).isSolved(goal), true);
+    assert.equal(steps.length, createGoalDistances(state, goal)(state));
+});
@@ -0,0 +1,113 @@
+/**
+ * Pruebas del almacenamiento: migraciones desde las claves antiguas y entre versiones,
+ * y datos que no se pueden leer (con un localStorage en memoria)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { STORAGE_NAMESPACE, STORAGE_SCHEMAS, loadData, migrateData, saveData } from '../js/storage.js';
+
+/**
+ * localStorage en memoria con la misma interfaz que el del navegador
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * @param {string} key - Clave
+     * @return {string|null} - Valor guardado o null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @param {string} key - Clave
+     * @param {string} value - Valor a guardar
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * @param {string} key - Clave a borrar
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const storage = new MemoryStorage();
+globalThis.localStorage = storage;
+
+beforeEach(() => {
+    storage.items.clear();
+});
+
+test('el récord antiguo pasa a la clasificación normal de 3 torres y se borra la clave antigua', () => {
+    storage.setItem('hanoiBestScore', JSON.stringify({ disks: 4, moves: 15, time: 30 }));
+
+    const boards = loadData('leaderboards', {});
+    assert.deepEqual(Object.keys(boards), ['4|3|normal|clasica']);
+    assert.equal(boards['4|3|normal|clasica'][0].moves, 15);
+    assert.equal(boards['4|3|normal|clasica'][0].stars, 3);
+
+    assert.equal(storage.getItem('hanoiBestScore'), null);
+    const envelope = JSON.parse(storage.getItem(`${STORAGE_NAMESPACE}:leaderboards`));
+    assert.equal(envelope.version, STORAGE_SCHEMAS.leaderboards.version);
+    assert.deepEqual(envelope.data, boards);
+});
+
+test('los temas antiguos reciben la forma de disco por defecto', () => {
+    storage.setItem('hanoiThemeSettings', JSON.stringify({ tower: 'japanese', disk: 'neon' }));
+    assert.deepEqual(loadData('theme'), { diskShape: 'torus', tower: 'japanese', disk: 'neon' });
+});
+
+test('una clave antigua recorre todas las migraciones hasta la versión actual', () => {
+    STORAGE_SCHEMAS.prueba = {
+        version: 2,
+        legacyKeys: ['hanoiPrueba'],
+        migrations: {
+            0: ({ hanoiPrueba }) => ({ count: hanoiPrueba }),
+            1: ({ count }) => ({ count, double: count * 2 })
+        }
+    };
+    try {
+        storage.setItem('hanoiPrueba', '21');
+        assert.deepEqual(loadData('prueba'), { count: 21, double: 42 });
+        assert.equal(storage.getItem('hanoiPrueba'), null);
+
+        // Un dato guardado con la versión 1 solo aplica la migración que le falta
+        storage.setItem(`${STORAGE_NAMESPACE}:prueba`, JSON.stringify({ version: 1, data: { count: 5 } }));
+        assert.deepEqual(loadData('prueba'), { count: 5, double: 10 });
+        assert.equal(JSON.parse(storage.getItem(`${STORAGE_NAMESPACE}:prueba`)).version, 2);
+    } finally {
+        delete STORAGE_SCHEMAS.prueba;
+    }
+});
+
+test('los datos de una versión más reciente se ignoran', t => {
+    t.mock.method(console, 'warn', () => {});
+    storage.setItem(`${STORAGE_NAMESPACE}:settings`, JSON.stringify({ version: 99, data: { playerName: 'Ana' } }));
+
+    assert.deepEqual(loadData('settings', {}), {});
+    assert.throws(() => migrateData('settings', {}, 99), /no soportada/);
+});
+
+test('los datos corruptos o sin versión devuelven el valor por defecto', t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    storage.setItem(`${STORAGE_NAMESPACE}:statistics`, '[{"date": ');
+    assert.deepEqual(loadData('statistics', []), []);
+
+    storage.setItem(`${STORAGE_NAMESPACE}:statistics`, JSON.stringify([{ date: '2025-01-01' }]));
+    assert.deepEqual(loadData('statistics', []), []);
+});
+
+test('lo guardado se carga igual', () => {
+    saveData('settings', { playerName: 'Ana', undoPolicy: 'libre' });
+    assert.deepEqual(loadData('settings'), { playerName: 'Ana', undoPolicy: 'libre' });
+});